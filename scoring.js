@@ -0,0 +1,1523 @@
+/*
+ * Tennis Scoring
+ *
+ * The scoring rules of the Tennis Scorekeeper, kept free of Vue and the
+ * DOM so they can be reused outside the app: in a Node script scoring
+ * imported data, or in unit tests. The app itself uses this module for
+ * every scoring decision.
+ *
+ * The module works on a match state with the same shape as the app's
+ * match object:
+ *
+ *   {
+ *     players: { 1: { name, sets: [0/1 per set], games, points }, 2: {…} },
+ *     setScores: [{ p1Games, p2Games, tiebreak?, matchTiebreak? }],
+ *     currentSet, server, gameStartServer, timeTiebreak,
+ *     matchComplete, winner, endReason, finalSets, isInProgress,
+ *     matchFormat, …format settings (see formatSettings)
+ *   }
+ *
+ * applyPoint(state, { winner }) returns a new state with the point
+ * applied and never changes the state it is given. Fields the scoring
+ * rules do not touch (statistics, point history, doubles members) are
+ * carried over by reference.
+ *
+ * scoreSnapshot(state) keeps just the score of a state, and
+ * restoreSnapshot(state, snapshot) puts such a score back onto a match,
+ * so a match can be rebuilt by replaying its points from a snapshot.
+ *
+ * In the browser the module is available as the global TennisScoring;
+ * in Node it is the module's export. Its tests are in test/ and run
+ * with Node's built-in test runner: node --test test/
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TennisScoring = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Named set formats offered in the setup form. Choosing a preset copies
+    // its games per set, tiebreak trigger and target, and deciding point
+    // (no-ad) rule onto the form, and from there onto the match. Presets with
+    // a fixed number of sets also set the match length. A set is won
+    // by reaching gamesPerSet games with a two game lead, or by winning the
+    // tiebreak played at tiebreakAt-all. With tiebreakSuddenDeath the
+    // tiebreak is won by the first player to reach the target, without
+    // needing a two point lead.
+    const FORMAT_PRESETS = {
+        standard: {
+            label: 'Standard sets',
+            description: 'First to 6 games, 7-point tiebreak at 6-6.',
+            gamesPerSet: 6,
+            tiebreakAt: 6,
+            tiebreakTarget: 7,
+            tiebreakSuddenDeath: false,
+            noAd: false,
+            noLets: false
+        },
+        short: {
+            label: 'Short sets',
+            description: 'First to 4 games, 7-point tiebreak at 4-4.',
+            gamesPerSet: 4,
+            tiebreakAt: 4,
+            tiebreakTarget: 7,
+            tiebreakSuddenDeath: false,
+            noAd: false,
+            noLets: false
+        },
+        fast4: {
+            label: 'Fast4',
+            description: 'First to 4 games, no-ad, 5-point tiebreak at 3-3 (sudden death at 4-4), no lets.',
+            gamesPerSet: 4,
+            tiebreakAt: 3,
+            tiebreakTarget: 5,
+            tiebreakSuddenDeath: true,
+            noAd: true,
+            noLets: true
+        },
+        proSet: {
+            label: 'Pro set',
+            description: 'A single set, first to 8 games by two, 7-point tiebreak at 8-8.',
+            // Pro sets are always a one set match
+            sets: 1,
+            gamesPerSet: 8,
+            tiebreakAt: 8,
+            tiebreakTarget: 7,
+            tiebreakSuddenDeath: false,
+            noAd: false,
+            noLets: false
+        }
+    };
+
+    /**
+     * Collect the scoring format settings (other than the number of
+     * sets) from a setup form, a match or a stored match. Anything
+     * missing falls back to standard sets so matches stored before a
+     * setting existed still load.
+     *
+     * @param {object} source form, match or stored match
+     */
+    function formatSettings(source) {
+        const standard = FORMAT_PRESETS.standard;
+        return {
+            formatPreset: source.formatPreset || 'standard',
+            gamesPerSet: source.gamesPerSet || standard.gamesPerSet,
+            tiebreakAt: source.tiebreakAt !== undefined ? source.tiebreakAt : standard.tiebreakAt,
+            tiebreakTarget: source.tiebreakTarget || standard.tiebreakTarget,
+            tiebreakSuddenDeath: !!source.tiebreakSuddenDeath,
+            noAd: !!source.noAd,
+            noLets: !!source.noLets,
+            matchTiebreak: !!source.matchTiebreak,
+            finalSetRule: source.finalSetRule || 'tiebreak',
+            timeLimitMinutes: source.timeLimitMinutes || 0,
+            timedTieRule: source.timedTieRule || 'tiebreak',
+            // Seconds allowed between points, 0 with no serve clock
+            serveClockSeconds: source.serveClockSeconds || 0
+        };
+    }
+
+    /**
+     * Return the scoring rules for a set of a match. Every set follows
+     * the match's set format (six games with a 7-point tiebreak at 6-6
+     * for standard sets, see FORMAT_PRESETS) except the deciding set,
+     * which follows the match's final set rule:
+     *   • 'tiebreak'     – 7-point tiebreak at 6-6 (the default)
+     *   • 'advantage'    – no tiebreak, play on until a two game lead
+     *   • 'tiebreak-10'  – 10-point tiebreak at 6-6
+     *   • 'tiebreak-12'  – 7-point tiebreak at 12-12
+     * A match tiebreak format replaces the deciding set with a single
+     * 10-point tiebreak, modelled as a one game set with a tiebreak
+     * at 0-0.
+     *
+     * @param {object} config a match, or a setup form, providing
+     *   matchFormat and the fields returned by formatSettings()
+     * @param {number} setIndex 0‑based index of the set
+     * @returns {{gamesPerSet: number, tiebreakAt: (number|null), tiebreakTarget: number, tiebreakSuddenDeath: boolean, matchTiebreak: boolean}}
+     */
+    function setRules(config, setIndex) {
+        const format = formatSettings(config);
+        const rules = {
+            gamesPerSet: format.gamesPerSet,
+            tiebreakAt: format.tiebreakAt,
+            tiebreakTarget: format.tiebreakTarget,
+            tiebreakSuddenDeath: format.tiebreakSuddenDeath,
+            matchTiebreak: false
+        };
+        if (setIndex !== config.matchFormat - 1) return rules;
+        if (format.matchTiebreak) {
+            return { gamesPerSet: 1, tiebreakAt: 0, tiebreakTarget: 10, tiebreakSuddenDeath: false, matchTiebreak: true };
+        }
+        switch (format.finalSetRule) {
+            case 'advantage':
+                rules.tiebreakAt = null;
+                break;
+            case 'tiebreak-10':
+                rules.tiebreakTarget = 10;
+                break;
+            case 'tiebreak-12':
+                rules.tiebreakAt = 12;
+                break;
+        }
+        return rules;
+    }
+
+    /**
+     * Scoring rules for the set currently being played. When a timed
+     * match has run out of time level, the deciding game is a 7-point
+     * tiebreak or a single sudden death point.
+     *
+     * @param {object} state match state
+     */
+    function currentSetRules(state) {
+        const rules = setRules(state, state.currentSet);
+        if (state.timeTiebreak === 'next-point') {
+            return { ...rules, tiebreakTarget: 1, tiebreakSuddenDeath: true };
+        }
+        if (state.timeTiebreak) {
+            return { ...rules, tiebreakTarget: 7, tiebreakSuddenDeath: false };
+        }
+        return rules;
+    }
+
+    /**
+     * Whether the game currently being played is a tiebreak. A
+     * tiebreak is played when the set reaches its tiebreak score, the
+     * whole of a match tiebreak set is played as one tiebreak, and a
+     * timed match that runs out of time level ends with one.
+     *
+     * @param {object} state match state
+     */
+    function isTiebreakGame(state) {
+        if (state.timeTiebreak) return true;
+        const rules = currentSetRules(state);
+        if (rules.tiebreakAt === null) return false;
+        return state.players[1].games === rules.tiebreakAt && state.players[2].games === rules.tiebreakAt;
+    }
+
+    /**
+     * Whether the current set is a 10-point match tiebreak played in
+     * place of the deciding set.
+     *
+     * @param {object} state match state
+     */
+    function isMatchTiebreak(state) {
+        return currentSetRules(state).matchTiebreak;
+    }
+
+    /**
+     * Whether the next point is a no-ad deciding point (40-40 in a
+     * regular game of a no-ad match).
+     *
+     * @param {object} state match state
+     */
+    function isDecidingPoint(state) {
+        if (!state.noAd || state.matchComplete) return false;
+        if (isTiebreakGame(state)) return false;
+        return state.players[1].points === 3 && state.players[2].points === 3;
+    }
+
+    /**
+     * The court the next point is served to: 'deuce' after an even number
+     * of points in the game (tiebreak included), 'ad' after an odd
+     * number. On a no-ad deciding point the receiver picks the side.
+     *
+     * @param {object} state match state
+     * @param {string} [receiverSide] side chosen for a deciding point
+     */
+    function serveCourt(state, receiverSide) {
+        if (receiverSide && isDecidingPoint(state)) return receiverSide;
+        const points = state.players[1].points + state.players[2].points;
+        return points % 2 === 0 ? 'deuce' : 'ad';
+    }
+
+    /**
+     * Number of sets a player has won.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     */
+    function setsWon(state, playerId) {
+        return state.players[playerId].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
+    }
+
+    /**
+     * Check if a set is complete based on games won.
+     * A set is complete if one player has at least the set's number of games
+     * (6 for standard sets) and a 2+ game lead,
+     * or if the set was decided by a tiebreak at the set's tiebreak score
+     * (7-6, or 13-12 for a final set tiebreak at 12-12).
+     *
+     * @param {number} p1Games games won by player 1
+     * @param {number} p2Games games won by player 2
+     * @param {object} rules the set's rules from setRules(); defaults to a standard set
+     */
+    function isSetComplete(p1Games, p2Games, rules) {
+        if (p1Games === 0 && p2Games === 0) return false;
+        rules = rules || { gamesPerSet: 6, tiebreakAt: 6 };
+
+        // Standard set win conditions
+        if (p1Games >= rules.gamesPerSet && (p1Games - p2Games) >= 2) return true;
+        if (p2Games >= rules.gamesPerSet && (p2Games - p1Games) >= 2) return true;
+
+        // Tiebreak sets
+        if (rules.tiebreakAt !== null) {
+            const high = Math.max(p1Games, p2Games);
+            const low = Math.min(p1Games, p2Games);
+            if (high === rules.tiebreakAt + 1 && low === rules.tiebreakAt) return true;
+        }
+
+        // Otherwise the set is still in progress
+        return false;
+    }
+
+    /**
+     * Check whether a set score can occur under a set's rules, either
+     * as a finished set or as a set still being played. Returns a
+     * description of the problem, or null when the score is possible.
+     *
+     * @param {number} p1Games games won by player 1
+     * @param {number} p2Games games won by player 2
+     * @param {object} rules the set's rules from setRules()
+     */
+    function setScoreProblem(p1Games, p2Games, rules) {
+        const high = Math.max(p1Games, p2Games);
+        const low = Math.min(p1Games, p2Games);
+        const score = `${p1Games}-${p2Games}`;
+        if (low < 0 || !Number.isInteger(p1Games) || !Number.isInteger(p2Games)) {
+            return `${score} is not a valid score.`;
+        }
+        const tiebreak = rules.tiebreakAt;
+        if (isSetComplete(p1Games, p2Games, rules)) {
+            // Won in a tiebreak
+            if (tiebreak !== null && high === tiebreak + 1 && low === tiebreak) return null;
+            // Won outright: the set ends as soon as the winner leads by two
+            // after reaching the set's games, and never passes the tiebreak
+            if (high > rules.gamesPerSet && high - low !== 2) {
+                return `${score} cannot happen: the set would have ended earlier.`;
+            }
+            if (tiebreak !== null && low >= tiebreak) {
+                return `${score} cannot happen: a tiebreak is played at ${tiebreak}-${tiebreak}.`;
+            }
+            return null;
+        }
+        // Set still being played
+        if (tiebreak !== null && high > tiebreak) {
+            return `${score} cannot happen: a tiebreak is played at ${tiebreak}-${tiebreak}.`;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether the points entered for a match tiebreak set can
+     * occur. A match tiebreak is entered by its points, e.g. 10-7; one
+     * still being played is entered as current points instead, except
+     * when ending a match during it.
+     *
+     * @param {number} p1Points points won by player 1
+     * @param {number} p2Points points won by player 2
+     * @param {object} rules the set's rules from setRules()
+     * @param {boolean} ending whether the match is being ended
+     */
+    function matchTiebreakProblem(p1Points, p2Points, rules, ending) {
+        const high = Math.max(p1Points, p2Points);
+        const low = Math.min(p1Points, p2Points);
+        const score = `${p1Points}-${p2Points}`;
+        if (low < 0 || !Number.isInteger(p1Points) || !Number.isInteger(p2Points)) {
+            return `${score} is not a valid score.`;
+        }
+        if (high > rules.tiebreakTarget && high - low > 2) {
+            return `${score} cannot happen: the match tiebreak would have ended earlier.`;
+        }
+        if (high > 0 && !ending && !isEntrySetComplete({ p1: p1Points, p2: p2Points }, rules)) {
+            return `the match tiebreak is not finished at ${score}; enter its points as the current points.`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a set score entered by hand is a finished set. A match
+     * tiebreak set is entered by its points and is finished once a
+     * player reaches the target two points clear.
+     *
+     * @param {{p1: number, p2: number}} set the entered set score
+     * @param {object} rules the set's rules from setRules()
+     */
+    function isEntrySetComplete(set, rules) {
+        if (!rules.matchTiebreak) return isSetComplete(set.p1, set.p2, rules);
+        const high = Math.max(set.p1, set.p2);
+        return high >= rules.tiebreakTarget && high - Math.min(set.p1, set.p2) >= 2;
+    }
+
+    /**
+     * Turn a set score entered by hand into the { p1Games, p2Games }
+     * shape stored in match.setScores. The points of a match tiebreak
+     * are kept as its tiebreak score, the way a match tiebreak played
+     * point by point is stored.
+     *
+     * @param {{p1: number, p2: number}} set the entered set score
+     * @param {object} rules the set's rules from setRules()
+     */
+    function entrySetScore(set, rules) {
+        if (!rules.matchTiebreak) return { p1Games: set.p1, p2Games: set.p2 };
+        const finished = isEntrySetComplete(set, rules);
+        return {
+            p1Games: finished && set.p1 > set.p2 ? 1 : 0,
+            p2Games: finished && set.p2 > set.p1 ? 1 : 0,
+            tiebreak: { p1: set.p1, p2: set.p2 },
+            matchTiebreak: true
+        };
+    }
+
+    /**
+     * The reverse of entrySetScore(): a stored set score as the
+     * { p1, p2 } entered in the score forms.
+     *
+     * @param {object} score a set score from match.setScores
+     */
+    function setScoreEntry(score) {
+        if (score.matchTiebreak && score.tiebreak) {
+            return { p1: score.tiebreak.p1, p2: score.tiebreak.p2 };
+        }
+        return { p1: score.p1Games, p2: score.p2Games };
+    }
+
+    /**
+     * Index of the set played as a match tiebreak, or -1 when the
+     * format has none. Score forms label that set's inputs as points.
+     *
+     * @param {object} config the match or setup form providing the format
+     */
+    function matchTiebreakSetIndex(config) {
+        return formatSettings(config).matchTiebreak ? config.matchFormat - 1 : -1;
+    }
+
+    /**
+     * Name of a player in a match or in the join form, for messages.
+     *
+     * @param {object} config the match or setup form
+     * @param {number} playerId 1 or 2
+     */
+    function entryPlayerName(config, playerId) {
+        if (config.players) return config.players[playerId].name;
+        return config['player' + playerId] || `Player ${playerId}`;
+    }
+
+    /**
+     * Number of games played in a list of entered set scores, counting
+     * each tiebreak (and a match tiebreak) as one game.
+     *
+     * @param {Array} setScores { p1, p2 } set scores
+     */
+    function entryGamesPlayed(setScores) {
+        return setScores.reduce((sum, set) => sum + set.p1 + set.p2, 0);
+    }
+
+    /**
+     * Work out who served the first game of a match from its current
+     * state. Service alternates every game, tiebreaks included, so the
+     * player who started the current game also started every game an
+     * even number of games before it.
+     *
+     * @param {object} state match state
+     */
+    function firstServerOf(state) {
+        const played = state.setScores.reduce((sum, set) => sum + set.p1Games + set.p2Games, 0)
+            + state.players[1].games + state.players[2].games;
+        const other = state.gameStartServer === 1 ? 2 : 1;
+        return played % 2 === 0 ? state.gameStartServer : other;
+    }
+
+    /**
+     * Validate a score typed in by hand in the join form, the fast
+     * forward modal or the end match modal against the match format.
+     * Errors are scores that cannot happen: finished sets that are not
+     * possible final scores, more than one set in progress, sets after
+     * the match was won, game points that do not fit the game being
+     * played (a tiebreak or a no-ad game) or no server chosen. Warnings
+     * are scores that can happen but are probably a mistake: a server
+     * out of turn, a score behind the match being updated, sets that
+     * decide the match, or an end match result that does not fit the
+     * sets (such as a completed match won by the player with fewer sets).
+     *
+     * @param {object} entry the entered score: setScores ({ p1, p2 }
+     *   per set, points for a match tiebreak set) and, except when
+     *   ending a match, points and server.
+     *   When ending a match, winner is the chosen winner (1, 2, 0 for
+     *   no result, or null) and resultType how the match ended (a key
+     *   of RESULT_TYPES). When updating a match, current is its state
+     *   before the update.
+     * @param {object} config the match or setup form providing the format
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    function validateScoreEntry(entry, config) {
+        const result = { errors: [], warnings: [] };
+        const ending = entry.winner !== undefined;
+        const needed = Math.ceil(config.matchFormat / 2);
+        const won = { 1: 0, 2: 0 };
+        const played = [];
+        let currentRules = null;
+        let inTiebreak = false;
+        let finished = false;
+        for (let i = 0; i < config.matchFormat; i++) {
+            const set = entry.setScores[i];
+            const empty = set.p1 === 0 && set.p2 === 0;
+            if (currentRules || finished) {
+                if (!empty) {
+                    result.errors.push(finished
+                        ? `Set ${i + 1} has a score but the match was already won.`
+                        : `Set ${i + 1} has a score but the set before it is not finished.`);
+                    return result;
+                }
+                continue;
+            }
+            const rules = setRules(config, i);
+            const problem = rules.matchTiebreak
+                ? matchTiebreakProblem(set.p1, set.p2, rules, ending)
+                : setScoreProblem(set.p1, set.p2, rules);
+            if (problem) {
+                result.errors.push(`Set ${i + 1}: ${problem}`);
+                return result;
+            }
+            // A match tiebreak counts as the one game it is played as
+            const stored = entrySetScore(set, rules);
+            played.push({ p1: stored.p1Games, p2: stored.p2Games });
+            if (isEntrySetComplete(set, rules)) {
+                won[set.p1 > set.p2 ? 1 : 2]++;
+                finished = won[1] >= needed || won[2] >= needed;
+            } else {
+                currentRules = rules;
+                inTiebreak = rules.tiebreakAt !== null && set.p1 === rules.tiebreakAt && set.p2 === rules.tiebreakAt;
+            }
+        }
+        const setWinner = won[1] >= needed ? 1 : (won[2] >= needed ? 2 : 0);
+        if (ending) {
+            validateEndResult(entry.winner, entry.resultType || 'completed', setWinner, won, config, result);
+            return result;
+        }
+        const points = { p1: Number(entry.points.p1), p2: Number(entry.points.p2) };
+        const high = Math.max(points.p1, points.p2);
+        const low = Math.min(points.p1, points.p2);
+        if (setWinner) {
+            if (high > 0) {
+                result.errors.push('Game points are entered but the set scores already decide the match.');
+            } else if (!entry.current) {
+                result.errors.push('The set scores already decide the match, so there is nothing left to join.');
+            } else {
+                result.warnings.push(`These set scores finish the match with ${entryPlayerName(config, setWinner)} winning.`);
+            }
+        } else if (inTiebreak) {
+            const target = currentRules.tiebreakTarget;
+            const over = currentRules.tiebreakSuddenDeath
+                ? high >= target
+                : high >= target && high - low >= 2;
+            if (low < 0 || !Number.isInteger(points.p1) || !Number.isInteger(points.p2)) {
+                result.errors.push(`Tiebreak points ${points.p1}-${points.p2} are not a valid score.`);
+            } else if (over) {
+                result.errors.push(`Tiebreak points ${points.p1}-${points.p2} would already have finished the tiebreak.`);
+            }
+        } else if (config.noAd && high > 3) {
+            result.errors.push('Advantage is not played with no-ad scoring.');
+        } else if (high === 4 && low !== 3) {
+            result.errors.push('Advantage is only possible after deuce (40-40).');
+        }
+        if (entry.server !== 1 && entry.server !== 2) {
+            result.errors.push('Choose who is serving.');
+        }
+        if (result.errors.length || !entry.current) return result;
+        const current = entry.current;
+        // Compare with the match being updated
+        const currentGames = entryGamesPlayed(current.setScores.map(set => ({ p1: set.p1Games, p2: set.p2Games })))
+            + current.players[1].games + current.players[2].games;
+        const enteredGames = entryGamesPlayed(played);
+        if (enteredGames < currentGames
+            || (enteredGames === currentGames && high + low < current.players[1].points + current.players[2].points)) {
+            result.warnings.push('This score is behind the current score of the match.');
+        }
+        if (!setWinner && !current.timeTiebreak) {
+            // Service alternates every game from the first server, and
+            // in a tiebreak after the first point and then every two
+            const first = firstServerOf(current);
+            const starter = enteredGames % 2 === 0 ? first : (first === 1 ? 2 : 1);
+            let expected = starter;
+            if (inTiebreak && Math.floor((high + low + 1) / 2) % 2 === 1) {
+                expected = starter === 1 ? 2 : 1;
+            }
+            if (entry.server !== expected) {
+                result.warnings.push(`By the order of service ${entryPlayerName(config, expected)} should be serving at this score.`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Check the result chosen in the end match modal against the set
+     * scores entered with it, adding to a validateScoreEntry() result.
+     *
+     * @param {number|null} winner chosen winner (1 or 2), 0 for no
+     *   result, or null while none is chosen
+     * @param {string} resultType how the match ended, a key of RESULT_TYPES
+     * @param {number} setWinner player the sets give the match to, or 0
+     * @param {object} won sets won by each player
+     * @param {object} config the match being ended
+     * @param {object} result errors and warnings collected so far
+     */
+    function validateEndResult(winner, resultType, setWinner, won, config, result) {
+        if (resultType === 'walkover' && (won[1] || won[2])) {
+            result.warnings.push('A walkover is given before play starts, but set scores are entered.');
+        }
+        if (winner === null) return;
+        if (setWinner) {
+            if (winner === 0) {
+                result.warnings.push(`The set scores give the match to ${entryPlayerName(config, setWinner)}, but no result is chosen.`);
+            } else if (winner !== setWinner) {
+                result.errors.push(`${entryPlayerName(config, setWinner)} won the match on sets, so ${entryPlayerName(config, winner)} cannot be the winner.`);
+            } else if (resultType !== 'completed') {
+                result.warnings.push(`The set scores finish the match, so it was completed rather than ${RESULT_TYPES[resultType].label.toLowerCase()}.`);
+            }
+            return;
+        }
+        // A retirement, walkover or default can go to either player
+        if (resultType !== 'completed') return;
+        result.warnings.push('The set scores do not finish the match.');
+        const other = winner === 1 ? 2 : 1;
+        if (winner !== 0 && won[winner] < won[other]) {
+            result.warnings.push(won[winner] === 0
+                ? `${entryPlayerName(config, winner)} has not won a set.`
+                : `${entryPlayerName(config, winner)} has won fewer sets than ${entryPlayerName(config, other)}.`);
+        }
+    }
+
+    /**
+     * Work out whether a set of entered scores (join form or fast
+     * forward) leaves the match in a tiebreak. The first set that is
+     * not complete is the current set; it is a tiebreak when its games
+     * stand at that set's tiebreak score.
+     *
+     * @param {Array} setScores entered { p1, p2 } set scores
+     * @param {object} config the match or join form providing the format
+     */
+    function scoresAreAtTiebreak(setScores, config) {
+        for (let i = 0; i < config.matchFormat; i++) {
+            const set = setScores[i];
+            const rules = setRules(config, i);
+            if (isEntrySetComplete(set, rules)) continue;
+            return rules.tiebreakAt !== null && set.p1 === rules.tiebreakAt && set.p2 === rules.tiebreakAt;
+        }
+        return false;
+    }
+
+    /**
+     * Copy the parts of a match state the scoring rules change, so a new
+     * state can be built without touching the original.
+     *
+     * @param {object} state match state
+     */
+    function cloneScore(state) {
+        const clonePlayer = player => ({ ...player, sets: player.sets.slice() });
+        return {
+            ...state,
+            players: { 1: clonePlayer(state.players[1]), 2: clonePlayer(state.players[2]) },
+            setScores: state.setScores.map(set => ({ ...set }))
+        };
+    }
+
+    /**
+     * Work out who serves the next point of a tiebreak. The player
+     * whose turn it was to serve the game serves the first point, then
+     * serve alternates every two points.
+     *
+     * @param {object} state match state
+     */
+    function tiebreakServer(state) {
+        const pointsPlayed = state.players[1].points + state.players[2].points;
+        const first = state.gameStartServer;
+        const other = first === 1 ? 2 : 1;
+        return Math.floor((pointsPlayed + 1) / 2) % 2 === 0 ? first : other;
+    }
+
+    /**
+     * Determine if the specified player has won the current game. A game
+     * is won by the first player to reach four points with a two point
+     * margin. Advantage scoring is handled implicitly by the points
+     * difference. A tiebreak is won by the first player to reach the
+     * set's tiebreak target (7, or 10 for a match tiebreak or a 10-point
+     * final set tiebreak) with a two point margin, or without one for
+     * a sudden death tiebreak. With no-ad scoring
+     * the point played at 40-40 decides the game.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     */
+    function gameWon(state, playerId) {
+        const p = state.players[playerId].points;
+        const q = state.players[playerId === 1 ? 2 : 1].points;
+        if (isTiebreakGame(state)) {
+            const rules = currentSetRules(state);
+            return p >= rules.tiebreakTarget && ((p - q) >= 2 || rules.tiebreakSuddenDeath);
+        }
+        if (state.noAd) {
+            return p >= 4 && p > q;
+        }
+        return p >= 4 && (p - q) >= 2;
+    }
+
+    /**
+     * Determine if the specified player has won the current set. The
+     * player must win the set's number of games (six for standard
+     * sets) with a two game margin, or win the
+     * tiebreak played when the set reaches the tiebreak score. A match
+     * tiebreak counts as a set on its own, so winning it wins the set.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     */
+    function setWon(state, playerId) {
+        const gamesWon = state.players[playerId].games;
+        const gamesLost = state.players[playerId === 1 ? 2 : 1].games;
+        const rules = currentSetRules(state);
+        if (rules.tiebreakAt !== null && gamesWon === rules.tiebreakAt + 1 && gamesLost === rules.tiebreakAt) return true;
+        return gamesWon >= rules.gamesPerSet && (gamesWon - gamesLost) >= 2;
+    }
+
+    /**
+     * Determine if the specified player has won the match. The first
+     * player to win the required number of sets (best of 3 or 5) wins
+     * the match.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     */
+    function matchWon(state, playerId) {
+        return setsWon(state, playerId) >= Math.ceil(state.matchFormat / 2);
+    }
+
+    /**
+     * Complete a match before it is decided on sets: a timed match
+     * running out of time, or a default. The set in progress is
+     * recorded as it stands (with the deciding tiebreak score if one
+     * was played) and the reason the match ended is kept with the
+     * match. Changes the state it is given, which must already be a copy.
+     *
+     * @param {object} next copied match state
+     * @param {number} winnerId 1 or 2, or 0 for a draw
+     * @param {object} endReason why the match ended, e.g. { reason: 'time', decidedBy: 'games' }
+     * @param {object|null} tiebreakScore points of the deciding tiebreak
+     */
+    function finishMatchEarly(next, winnerId, endReason, tiebreakScore) {
+        const p1Games = next.players[1].games;
+        const p2Games = next.players[2].games;
+        if (p1Games > 0 || p2Games > 0 || tiebreakScore) {
+            const set = { p1Games, p2Games };
+            if (tiebreakScore) {
+                set.tiebreak = tiebreakScore;
+            }
+            next.setScores[next.currentSet] = set;
+            next.players[1].games = 0;
+            next.players[2].games = 0;
+            next.currentSet++;
+        }
+        next.timeTiebreak = null;
+        next.matchComplete = true;
+        next.winner = winnerId ? next.players[winnerId].name : 'Draw';
+        next.endReason = endReason;
+        next.finalSets = next.setScores.slice();
+        next.isInProgress = false;
+    }
+
+    /**
+     * Apply one point to a match state and return the resulting state:
+     * points, games, sets, server and the match result. Points played
+     * after the match is complete are ignored.
+     *
+     * @param {object} state match state
+     * @param {{winner: number}} pointEvent the point; winner is 1 or 2
+     * @returns {object} the new match state
+     */
+    function applyPoint(state, pointEvent) {
+        if (state.matchComplete) return state;
+        const winner = pointEvent.winner;
+        const tiebreak = isTiebreakGame(state);
+        const matchTiebreak = isMatchTiebreak(state);
+        const next = cloneScore(state);
+        next.players[winner].points++;
+        if (!gameWon(next, winner)) {
+            if (tiebreak) {
+                next.server = tiebreakServer(next);
+            }
+            return next;
+        }
+        // Keep the tiebreak score so it can be stored with the set
+        const tiebreakScore = tiebreak ? {
+            p1: next.players[1].points,
+            p2: next.players[2].points
+        } : null;
+        next.players[winner].games++;
+        next.players[1].points = 0;
+        next.players[2].points = 0;
+        // Move to next game: alternate server. After a tiebreak this
+        // means the player who received first in the tiebreak serves
+        // first in the next set.
+        next.gameStartServer = next.gameStartServer === 1 ? 2 : 1;
+        next.server = next.gameStartServer;
+        // The deciding game of a timed match that ran out of time
+        // level settles the match on its own
+        if (next.timeTiebreak) {
+            finishMatchEarly(next, winner, { reason: 'time', decidedBy: next.timeTiebreak }, tiebreakScore);
+            return next;
+        }
+        if (!setWon(next, winner)) return next;
+        // Record final game scores for the completed set
+        const set = {
+            p1Games: next.players[1].games,
+            p2Games: next.players[2].games
+        };
+        if (tiebreakScore) {
+            set.tiebreak = tiebreakScore;
+        }
+        if (matchTiebreak) {
+            set.matchTiebreak = true;
+        }
+        next.setScores[next.currentSet] = set;
+        next.players[winner].sets[next.currentSet] = 1;
+        next.players[1].games = 0;
+        next.players[2].games = 0;
+        next.currentSet++;
+        if (matchWon(next, winner)) {
+            next.matchComplete = true;
+            next.winner = next.players[winner].name;
+            next.finalSets = next.setScores.slice();
+            next.isInProgress = false;
+        }
+        return next;
+    }
+
+    // What winning the next point would bring, from least to most
+    const SITUATIONS = {
+        game: 'Game point',
+        break: 'Break point',
+        set: 'Set point',
+        match: 'Match point'
+    };
+
+    /**
+     * What winning the next point would bring each player (or team):
+     * a list of SITUATIONS keys per player, such as ['break', 'set']
+     * for a receiver who would break serve to win the set. Game and
+     * break points are only found in regular games; winning a tiebreak
+     * wins the set. Players with nothing at stake are left out, and
+     * null is returned when neither has anything.
+     *
+     * @param {object} state match state before the point
+     * @returns {object|null} e.g. { 2: ['break'] }
+     */
+    function pointSituation(state) {
+        if (state.matchComplete) return null;
+        const tiebreak = isTiebreakGame(state);
+        const situation = {};
+        [1, 2].forEach(playerId => {
+            const next = applyPoint(state, { winner: playerId });
+            const kinds = [];
+            const gameOver = next.matchComplete || (next.players[1].points === 0 && next.players[2].points === 0);
+            if (!gameOver) return;
+            if (!tiebreak) {
+                kinds.push(playerId === state.server ? 'game' : 'break');
+            }
+            if (next.currentSet !== state.currentSet) {
+                kinds.push('set');
+            }
+            if (next.matchComplete) {
+                kinds.push('match');
+            }
+            if (kinds.length) {
+                situation[playerId] = kinds;
+            }
+        });
+        return Object.keys(situation).length ? situation : null;
+    }
+
+    // Penalties in the order they are given for a player's (or team's)
+    // repeated code violations. A game penalty can also be awarded.
+    const PENALTY_SCHEDULE = ['warning', 'point', 'default'];
+
+    /**
+     * The penalty due for a player's next code violation under the
+     * point penalty schedule, from the violations already in the log.
+     *
+     * @param {Array} history point log, including violation entries
+     * @param {number} playerId offending player or team (1 or 2)
+     */
+    function nextPenalty(history, playerId) {
+        const previous = history.filter(entry => entry.violation && entry.violation.player === playerId).length;
+        return PENALTY_SCHEDULE[Math.min(previous, PENALTY_SCHEDULE.length - 1)];
+    }
+
+    /**
+     * Apply a code violation penalty to a match state and return the
+     * resulting state. A warning leaves the score alone, a point or game
+     * penalty awards the next point or the current game to the
+     * opponent, and a default ends the match in the opponent's favour.
+     *
+     * @param {object} state match state
+     * @param {{player: number, penalty: string}} violation offending
+     *   player and the penalty: 'warning', 'point', 'game' or 'default'
+     * @returns {object} the new match state
+     */
+    function applyPenalty(state, violation) {
+        if (state.matchComplete) return state;
+        const opponent = violation.player === 1 ? 2 : 1;
+        let next = state;
+        switch (violation.penalty) {
+            case 'point':
+                return applyPoint(state, { winner: opponent });
+            case 'game':
+                // Award points until the game (or tiebreak) is won
+                do {
+                    next = applyPoint(next, { winner: opponent });
+                } while (!next.matchComplete && (next.players[1].points > 0 || next.players[2].points > 0));
+                return next;
+            case 'default':
+                next = cloneScore(state);
+                finishMatchEarly(next, opponent, { reason: 'default', player: violation.player }, null);
+                return next;
+            default:
+                return state;
+        }
+    }
+
+    /**
+     * Apply one entry of the point log, a point or a code violation, to
+     * a match state.
+     *
+     * @param {object} state match state
+     * @param {object} entry point log entry
+     * @returns {object} the new match state
+     */
+    function applyLogEntry(state, entry) {
+        return entry.violation ? applyPenalty(state, entry.violation) : applyPoint(state, entry);
+    }
+
+    // Rest allowed at a changeover and at a set break, in seconds
+    const CHANGEOVER_REST = 90;
+    const SET_BREAK_REST = 120;
+    // Usual serve clock: seconds allowed between points
+    const SERVE_CLOCK = 25;
+
+    /**
+     * Work out whether a point brings a changeover, by comparing the
+     * score before and after it. Players change ends after the first
+     * game of each set and then after every second game, and every six
+     * points of a tiebreak. There is no rest after the first game of a
+     * set or within a tiebreak, 90 seconds at other changeovers and
+     * 120 seconds at the end of a set, whether or not ends change.
+     *
+     * @param {object} before match state before the point
+     * @param {object} after match state after the point
+     * @returns {{changeEnds: boolean, setBreak: boolean, restSeconds: number}|null}
+     *   null when play simply continues
+     */
+    function changeoverAfter(before, after) {
+        if (after.matchComplete) return null;
+        if (after.currentSet !== before.currentSet) {
+            const set = after.setScores[before.currentSet];
+            return {
+                changeEnds: (set.p1Games + set.p2Games) % 2 === 1,
+                setBreak: true,
+                restSeconds: SET_BREAK_REST
+            };
+        }
+        const games = after.players[1].games + after.players[2].games;
+        if (games !== before.players[1].games + before.players[2].games) {
+            if (games % 2 === 0) return null;
+            return { changeEnds: true, setBreak: false, restSeconds: games === 1 ? 0 : CHANGEOVER_REST };
+        }
+        const points = after.players[1].points + after.players[2].points;
+        if (isTiebreakGame(after) && points % 6 === 0) {
+            return { changeEnds: true, setBreak: false, restSeconds: 0 };
+        }
+        return null;
+    }
+
+    /**
+     * Seconds the serve clock allows before the next point: the match's
+     * time between points, plus the rest when the last point brought a
+     * changeover or set break. Zero with no serve clock or once the
+     * match is over.
+     *
+     * @param {object} state match state after the last point
+     * @param {object|null} changeover changeover from changeoverAfter()
+     */
+    function serveClockLimit(state, changeover) {
+        if (!state.serveClockSeconds || state.matchComplete) return 0;
+        return state.serveClockSeconds + (changeover ? changeover.restSeconds : 0);
+    }
+
+    /**
+     * Number of times the players have changed ends so far in a match,
+     * following the rules in changeoverAfter(). Player 1 is at the end
+     * they started at when the number is even. Changes within a
+     * finished tiebreak are only known when its score was recorded.
+     *
+     * @param {object} state match state
+     */
+    function endChanges(state) {
+        let changes = 0;
+        state.setScores.forEach(set => {
+            changes += Math.ceil((set.p1Games + set.p2Games) / 2);
+            if (set.tiebreak) {
+                changes += Math.floor((set.tiebreak.p1 + set.tiebreak.p2 - 1) / 6);
+            }
+        });
+        if (state.matchComplete) return changes;
+        changes += Math.ceil((state.players[1].games + state.players[2].games) / 2);
+        if (isTiebreakGame(state)) {
+            changes += Math.floor((state.players[1].points + state.players[2].points) / 6);
+        }
+        return changes;
+    }
+
+    /**
+     * Copy just the score of a match state: sets, games, points, server
+     * and result. Names, statistics and format settings are left out, so
+     * snapshots stay small enough to store with the match.
+     *
+     * @param {object} state match state
+     */
+    function scoreSnapshot(state) {
+        const player = p => ({ sets: p.sets.slice(), games: p.games, points: p.points });
+        return {
+            currentSet: state.currentSet,
+            server: state.server,
+            gameStartServer: state.gameStartServer,
+            timeTiebreak: state.timeTiebreak || null,
+            matchComplete: !!state.matchComplete,
+            winner: state.winner || null,
+            endReason: state.endReason || null,
+            result: state.result || null,
+            setScores: state.setScores.map(set => normaliseSetScore(set)),
+            players: { 1: player(state.players[1]), 2: player(state.players[2]) }
+        };
+    }
+
+    /**
+     * Return a new match state with the score taken from a snapshot made
+     * by scoreSnapshot. Everything else comes from the given state.
+     *
+     * @param {object} state match state providing names and format
+     * @param {object} snapshot score snapshot
+     * @returns {object} the new match state
+     */
+    function restoreSnapshot(state, snapshot) {
+        const player = pid => ({
+            ...state.players[pid],
+            sets: snapshot.players[pid].sets.slice(),
+            games: snapshot.players[pid].games,
+            points: snapshot.players[pid].points
+        });
+        const setScores = snapshot.setScores.map(set => normaliseSetScore(set));
+        return {
+            ...state,
+            players: { 1: player(1), 2: player(2) },
+            setScores,
+            currentSet: snapshot.currentSet,
+            server: snapshot.server,
+            gameStartServer: snapshot.gameStartServer,
+            timeTiebreak: snapshot.timeTiebreak || null,
+            matchComplete: !!snapshot.matchComplete,
+            winner: snapshot.winner || null,
+            endReason: snapshot.endReason || null,
+            result: snapshot.result || null,
+            finalSets: snapshot.matchComplete ? setScores.slice() : [],
+            isInProgress: !snapshot.matchComplete
+        };
+    }
+
+    /**
+     * Put a snapshot into a list of replay snapshots, keeping the list
+     * sorted by index. It goes after every snapshot at or before its
+     * index, so of two bases at the same index the later one wins.
+     * Changes the list it is given.
+     *
+     * @param {Array} snapshots replay snapshots, { index, kind, state }
+     * @param {object} snapshot the snapshot to add
+     */
+    function insertSnapshot(snapshots, snapshot) {
+        const position = snapshots.findIndex(snap => snap.index > snapshot.index);
+        snapshots.splice(position === -1 ? snapshots.length : position, 0, snapshot);
+    }
+
+    /**
+     * Return replay snapshots with a new base: the score of a state
+     * changed other than by playing a point (a fast forward, an ended
+     * match), after index entries of the point log. Bases past that
+     * index belonged to undone entries the change replaces, so they are
+     * dropped.
+     *
+     * @param {Array} snapshots replay snapshots sorted by index
+     * @param {number} index number of entries in the point log
+     * @param {object} state match state holding the new score
+     * @returns {Array} the new snapshots
+     */
+    function addBaseSnapshot(snapshots, index, state) {
+        const next = snapshots.filter(snap => snap.kind !== 'base' || snap.index <= index);
+        insertSnapshot(next, { index, kind: 'base', state: scoreSnapshot(state) });
+        return next;
+    }
+
+    /**
+     * Add a checkpoint of the score after a number of log entries when
+     * that number is a multiple of the interval and no snapshot exists
+     * there yet. Changes the list it is given.
+     *
+     * @param {Array} snapshots replay snapshots sorted by index
+     * @param {number} index number of log entries played
+     * @param {object} state match state after those entries
+     * @param {number} interval entries between checkpoints
+     */
+    function addCheckpoint(snapshots, index, state, interval) {
+        if (index === 0 || index % interval !== 0) return;
+        if (snapshots.some(snap => snap.index === index)) return;
+        insertSnapshot(snapshots, { index, kind: 'checkpoint', state: scoreSnapshot(state) });
+    }
+
+    /**
+     * Rebuild a score by replaying a point log. The replay starts from
+     * the latest snapshot at or before the first changed entry and
+     * switches to any base snapshot on the way, so score changes made
+     * outside play stay between the same points. Checkpoints past the
+     * first changed entry are dropped and added again along the way.
+     * Bases past the end of the log are kept while the undone entries
+     * they follow can still be redone.
+     *
+     * @param {object} state match state providing names and format
+     * @param {Array} log point log entries
+     * @param {Array} snapshots replay snapshots sorted by index; the
+     *   first is a base at index 0
+     * @param {object} [options]
+     * @param {number} [options.from] first changed entry, the end of the log by default
+     * @param {number} [options.logged] entries including undone ones
+     * @param {number} [options.checkpointInterval] entries between checkpoints
+     * @param {Function} [options.play] plays an entry, (entry, state) =>
+     *   new state; applyLogEntry by default
+     * @returns {{state: object, snapshots: Array}} the score after the
+     *   last entry and the snapshots to keep
+     */
+    function replayLog(state, log, snapshots, options = {}) {
+        const from = options.from === undefined ? log.length : Math.min(options.from, log.length);
+        const logged = options.logged === undefined ? log.length : options.logged;
+        const play = options.play || ((entry, before) => applyLogEntry(before, entry));
+        const kept = snapshots.filter(snap =>
+            snap.kind === 'base' ? snap.index <= logged : snap.index <= from);
+        const start = kept.filter(snap => snap.index <= from).pop();
+        let next = restoreSnapshot(state, start.state);
+        for (let i = start.index; i <= log.length; i++) {
+            if (i > start.index) {
+                // A score set outside play between these entries
+                const base = kept.filter(snap => snap.kind === 'base' && snap.index === i).pop();
+                if (base) {
+                    next = restoreSnapshot(next, base.state);
+                }
+            }
+            if (i === log.length) break;
+            next = play(log[i], next);
+            if (options.checkpointInterval) {
+                addCheckpoint(kept, i + 1, next, options.checkpointInterval);
+            }
+        }
+        return { state: next, snapshots: kept };
+    }
+
+    /**
+     * Replace the score of a match state with one entered by hand (join
+     * form or fast forward): completed sets, the games of the set in
+     * progress, the current game's points and the server. Completes the
+     * match when the entered sets already decide it.
+     *
+     * @param {object} state match state
+     * @param {Array} setScores entered { p1, p2 } set scores, see entrySetScore()
+     * @param {object} points entered { p1, p2 } current game points
+     * @param {number} server player serving the next point (1 or 2)
+     * @returns {object} the new match state
+     */
+    function applyScores(state, setScores, points, server) {
+        const next = cloneScore(state);
+        next.setScores = [];
+        next.players[1].sets = [0, 0, 0, 0, 0];
+        next.players[2].sets = [0, 0, 0, 0, 0];
+        next.players[1].games = 0;
+        next.players[2].games = 0;
+        next.currentSet = 0;
+        for (let i = 0; i < Math.min(setScores.length, state.matchFormat); i++) {
+            const set = setScores[i];
+            // No more sets with scores
+            if (set.p1 === 0 && set.p2 === 0) break;
+            const rules = setRules(state, i);
+            if (isEntrySetComplete(set, rules)) {
+                next.setScores.push(entrySetScore(set, rules));
+                next.players[set.p1 > set.p2 ? 1 : 2].sets[i] = 1;
+                next.currentSet = i + 1;
+            } else {
+                // This is the set in progress
+                next.players[1].games = set.p1;
+                next.players[2].games = set.p2;
+                next.currentSet = i;
+                break;
+            }
+        }
+        next.players[1].points = points.p1;
+        next.players[2].points = points.p2;
+        next.server = server;
+        // In a tiebreak the player who served its first point is worked
+        // back from the current server and the points played
+        next.gameStartServer = server;
+        if (isTiebreakGame(next)) {
+            const turns = Math.floor((points.p1 + points.p2 + 1) / 2);
+            next.gameStartServer = turns % 2 === 0 ? server : (server === 1 ? 2 : 1);
+        }
+        const winnerId = [1, 2].find(pid => matchWon(next, pid));
+        if (winnerId) {
+            next.matchComplete = true;
+            next.winner = next.players[winnerId].name;
+            next.finalSets = next.setScores.slice();
+            next.isInProgress = false;
+        }
+        return next;
+    }
+
+    /**
+     * Work out who leads a timed match: the player with more sets,
+     * then the player with more games across the match.
+     *
+     * @param {object} state match state
+     * @returns {{player: number, decidedBy: string}} player is 0 when level
+     */
+    function timedMatchLeader(state) {
+        const sets1 = setsWon(state, 1);
+        const sets2 = setsWon(state, 2);
+        if (sets1 !== sets2) {
+            return { player: sets1 > sets2 ? 1 : 2, decidedBy: 'sets' };
+        }
+        const gamesWon = pid => state.setScores.reduce((s, set) => s + (pid === 1 ? set.p1Games : set.p2Games), 0) + state.players[pid].games;
+        const games1 = gamesWon(1);
+        const games2 = gamesWon(2);
+        if (games1 !== games2) {
+            return { player: games1 > games2 ? 1 : 2, decidedBy: 'games' };
+        }
+        return { player: 0, decidedBy: 'tied' };
+    }
+
+    /**
+     * End a timed match once its time has run out. Nothing happens
+     * until the game in progress is finished. The leader then wins;
+     * if the players are level the match's tie rule applies: a draw
+     * is recorded, or a deciding tiebreak or sudden death point is
+     * played. Returns the state unchanged (the same object) when
+     * nothing happens.
+     *
+     * @param {object} state match state
+     * @param {number} elapsedMs milliseconds of play so far
+     * @returns {object} the new match state
+     */
+    function applyTimeExpiry(state, elapsedMs) {
+        if (!state.timeLimitMinutes || state.matchComplete || state.timeTiebreak) return state;
+        if (state.players[1].points !== 0 || state.players[2].points !== 0) return state;
+        if (elapsedMs < state.timeLimitMinutes * 60000) return state;
+        const next = cloneScore(state);
+        const leader = timedMatchLeader(state);
+        if (leader.player) {
+            finishMatchEarly(next, leader.player, { reason: 'time', decidedBy: leader.decidedBy }, null);
+        } else if (state.timedTieRule === 'draw') {
+            finishMatchEarly(next, 0, { reason: 'time', decidedBy: 'draw' }, null);
+        } else {
+            next.timeTiebreak = state.timedTieRule;
+        }
+        return next;
+    }
+
+    /**
+     * Number of the game being played, counted across the whole match
+     * (the first game of the second set after a 6-4 first set is 11).
+     *
+     * @param {object} state match state
+     */
+    function currentGameNumber(state) {
+        let games = state.players[1].games + state.players[2].games;
+        for (let i = 0; i < state.currentSet; i++) {
+            if (state.setScores[i]) {
+                games += state.setScores[i].p1Games + state.setScores[i].p2Games;
+            }
+        }
+        return games + 1;
+    }
+
+    /**
+     * Winner of a point decided by the serve alone: an ace or unreturned
+     * serve wins it for the server, a double fault for the receiver.
+     * Returns null when the serve was returned and a rally followed.
+     *
+     * @param {object} serveData { firstServe, secondServe }
+     * @param {number} server player serving the point (1 or 2)
+     */
+    function serveOutcomeWinner(serveData, server) {
+        if (!serveData) return null;
+        const decisive = serveData.firstServe === 'out' ? serveData.secondServe : serveData.firstServe;
+        if (decisive === 'ace' || decisive === 'unreturned') return server;
+        if (serveData.firstServe === 'out' && decisive === 'out') return server === 1 ? 2 : 1;
+        return null;
+    }
+
+    /**
+     * Doubles: count the service turns played so far in the current
+     * set. Every game is one turn; in a tiebreak the first point is a
+     * turn and each following pair of points is another.
+     *
+     * @param {object} state match state
+     */
+    function serviceTurnsInSet(state) {
+        const p1 = state.players[1];
+        const p2 = state.players[2];
+        let turns = p1.games + p2.games;
+        if (isTiebreakGame(state)) {
+            turns += Math.floor((p1.points + p2.points + 1) / 2);
+        }
+        return turns;
+    }
+
+    /**
+     * Doubles: index (0 or 1) of the member of the serving team who is
+     * serving now. Teams alternate turns, so each team's members swap
+     * every second turn starting from the member chosen for the set in
+     * state.serveOrder. Returns null for singles or when the serve order
+     * for the set is not yet known.
+     *
+     * @param {object} state match state
+     */
+    function servingMember(state) {
+        if (!state.doubles) return null;
+        const order = (state.serveOrder || [])[state.currentSet];
+        if (!order) return null;
+        return (order[state.server] + Math.floor(serviceTurnsInSet(state) / 2)) % 2;
+    }
+
+    /**
+     * Normalise a set score into the { p1Games, p2Games, tiebreak }
+     * shape used by match.setScores. Stored matches may hold set
+     * scores as { p1, p2 } so both forms are accepted.
+     *
+     * @param {object} set a set score in either shape
+     */
+    function normaliseSetScore(set) {
+        const result = {
+            p1Games: set.p1Games !== undefined ? set.p1Games : set.p1,
+            p2Games: set.p2Games !== undefined ? set.p2Games : set.p2
+        };
+        if (set.tiebreak) {
+            result.tiebreak = { p1: set.tiebreak.p1, p2: set.tiebreak.p2 };
+        }
+        if (set.matchTiebreak) {
+            result.matchTiebreak = true;
+        }
+        return result;
+    }
+
+    // How a match ended, with the notation added to its score
+    const RESULT_TYPES = {
+        completed: { label: 'Completed', notation: '' },
+        retired: { label: 'Retired', notation: 'ret.' },
+        walkover: { label: 'Walkover', notation: 'w/o' },
+        default: { label: 'Default', notation: 'def.' },
+        suspended: { label: 'Suspended', notation: 'susp.' },
+        unfinished: { label: 'Unfinished', notation: 'abd.' }
+    };
+
+    /**
+     * The result of a match, live or stored: { type, reason, notes }
+     * where type is a key of RESULT_TYPES. Matches finished before
+     * results were kept have theirs worked out from the winner and end
+     * reason. A match that is still to be finished is suspended while
+     * its last stoppage is a suspension not yet resumed, with the
+     * stoppage's reason; otherwise it is still being played and the
+     * result is null.
+     *
+     * @param {object} match match state or stored match
+     */
+    function matchResult(match) {
+        if (match.result) return match.result;
+        const complete = match.matchComplete !== undefined ? match.matchComplete : !match.isInProgress;
+        if (!complete) {
+            const pauses = match.pauses || [];
+            const last = pauses[pauses.length - 1];
+            if (last && last.suspended && !last.end) {
+                return { type: 'suspended', reason: last.reason, notes: '' };
+            }
+            return null;
+        }
+        if (match.endReason && match.endReason.reason === 'default') {
+            return { type: 'default', reason: 'conduct', notes: '' };
+        }
+        if (match.winner === 'No Result') {
+            return { type: 'unfinished', reason: '', notes: '' };
+        }
+        return { type: 'completed', reason: '', notes: '' };
+    }
+
+    /**
+     * Convert an array of final set scores into a string like
+     * "6-4 7-6(5)". Sets decided by a tiebreak show the loser's
+     * tiebreak points in brackets and a match tiebreak played in place
+     * of the deciding set is shown as "[10-7]". Both the stored { p1, p2 } shape and
+     * the in-match { p1Games, p2Games } shape are accepted. A result
+     * other than a completed match adds its notation, as in
+     * "6-4 2-1 ret." or "w/o". If there is nothing to show returns an
+     * empty string.
+     *
+     * @param {Array} sets set scores
+     * @param {object|null} [result] the match result from matchResult()
+     */
+    function formatSetScores(sets, result) {
+        const notation = result && RESULT_TYPES[result.type] ? RESULT_TYPES[result.type].notation : '';
+        if (!sets || sets.length === 0) return notation;
+        const score = sets.map(set => {
+            const s = normaliseSetScore(set);
+            if (s.matchTiebreak && s.tiebreak) {
+                return `[${s.tiebreak.p1}-${s.tiebreak.p2}]`;
+            }
+            let text = `${s.p1Games}-${s.p2Games}`;
+            if (s.tiebreak) {
+                text += `(${Math.min(s.tiebreak.p1, s.tiebreak.p2)})`;
+            }
+            return text;
+        }).join(' ');
+        return notation ? `${score} ${notation}` : score;
+    }
+
+    /**
+     * Display either the games for the current set or the final set
+     * scores for completed sets. An empty string is returned for
+     * future sets that haven't started.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     * @param {number} setIndex 0‑based index of the set
+     */
+    function displaySetScore(state, playerId, setIndex) {
+        // Completed set
+        if (setIndex < state.currentSet) {
+            const score = state.setScores[setIndex];
+            if (score) {
+                // A match tiebreak is shown by its points rather than games
+                if (score.matchTiebreak && score.tiebreak) {
+                    return `[${playerId === 1 ? score.tiebreak.p1 : score.tiebreak.p2}]`;
+                }
+                const games = playerId === 1 ? score.p1Games : score.p2Games;
+                // Show the tiebreak points alongside the loser's games, e.g. 6(5)
+                if (score.tiebreak) {
+                    const own = playerId === 1 ? score.tiebreak.p1 : score.tiebreak.p2;
+                    const other = playerId === 1 ? score.tiebreak.p2 : score.tiebreak.p1;
+                    if (own < other) return `${games}(${own})`;
+                }
+                return games;
+            }
+            return '';
+        }
+        // Current set
+        if (setIndex === state.currentSet) {
+            return state.players[playerId].games;
+        }
+        // Future set
+        return '';
+    }
+
+    /**
+     * Convert a player's raw point count into a tennis scoring string.
+     * Handles deuce and advantage. For values beyond 4 returns '40'
+     * which is appropriate when displaying trailing scores during an
+     * advantage game. During a tiebreak the raw point count is shown.
+     * With no-ad scoring 40-40 is shown as is, as the next point
+     * decides the game.
+     *
+     * @param {object} state match state
+     * @param {number} playerId 1 or 2
+     * @returns {string}
+     */
+    function pointDisplay(state, playerId) {
+        const p1 = state.players[1].points;
+        const p2 = state.players[2].points;
+        const points = state.players[playerId].points;
+        // Tiebreaks are scored with plain numbers
+        if (isTiebreakGame(state)) {
+            return String(points);
+        }
+        // Deuce/Advantage handling
+        if (p1 >= 3 && p2 >= 3 && !state.noAd) {
+            if (p1 === p2) {
+                return 'Deuce';
+            }
+            if ((playerId === 1 && p1 > p2) || (playerId === 2 && p2 > p1)) {
+                return 'Ad';
+            }
+            return '40';
+        }
+        // Standard mapping
+        switch (points) {
+            case 0: return '0';
+            case 1: return '15';
+            case 2: return '30';
+            case 3: return '40';
+            default: return '40';
+        }
+    }
+
+    return {
+        FORMAT_PRESETS,
+        formatSettings,
+        setRules,
+        currentSetRules,
+        isTiebreakGame,
+        isMatchTiebreak,
+        isDecidingPoint,
+        serveCourt,
+        SITUATIONS,
+        pointSituation,
+        setsWon,
+        isSetComplete,
+        setScoreProblem,
+        isEntrySetComplete,
+        entrySetScore,
+        setScoreEntry,
+        matchTiebreakSetIndex,
+        validateScoreEntry,
+        scoresAreAtTiebreak,
+        tiebreakServer,
+        applyPoint,
+        applyScores,
+        nextPenalty,
+        applyPenalty,
+        applyLogEntry,
+        changeoverAfter,
+        endChanges,
+        SERVE_CLOCK,
+        serveClockLimit,
+        scoreSnapshot,
+        restoreSnapshot,
+        addBaseSnapshot,
+        addCheckpoint,
+        replayLog,
+        timedMatchLeader,
+        applyTimeExpiry,
+        currentGameNumber,
+        serveOutcomeWinner,
+        serviceTurnsInSet,
+        servingMember,
+        normaliseSetScore,
+        RESULT_TYPES,
+        matchResult,
+        formatSetScores,
+        displaySetScore,
+        pointDisplay
+    };
+});
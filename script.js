@@ -26,13 +26,136 @@
  *   • An end match modal to finalise matches early with a reason and
  *     optional notes.
  *
+ * The scoring rules themselves live in scoring.js (TennisScoring), which
+ * has no dependency on Vue or the DOM.
+ *
  * The application stores up to 50 matches in localStorage. Completed
  * matches are marked as such and remain in the history for review. In
- *‑progress matches can be resumed exactly where you left off.
+ *‑progress matches can be resumed exactly where you left off: their
+ * point log is stored in chunks under keys of its own, so saving after
+ * a point only rewrites the chunk it was added to.
  */
 
 const { createApp, reactive, computed, watch } = Vue;
 
+// Scoring rules, set formats and score formatting live in scoring.js
+// (the TennisScoring module) so they can be used without Vue.
+const { FORMAT_PRESETS, RESULT_TYPES, SERVE_CLOCK, SITUATIONS } = TennisScoring;
+
+// A match's score is rebuilt by replaying its points from the nearest
+// snapshot. A checkpoint snapshot is kept every this many points so
+// undo and reopening a long match only replay a few points.
+const CHECKPOINT_INTERVAL = 25;
+
+// An in-progress match's point log is stored in chunks of this many
+// entries, each under its own localStorage key (see pointLogKey).
+const LOG_CHUNK_SIZE = 50;
+
+// Kinds of serve fault that can be recorded, with the statistic each is
+// counted in and how it is described in the point log.
+const FAULT_TYPES = {
+    long: { stat: 'faultsLong', label: 'long' },
+    wide: { stat: 'faultsWide', label: 'wide' },
+    net: { stat: 'faultsNet', label: 'net' },
+    'foot-fault': { stat: 'footFaults', label: 'foot fault' }
+};
+
+// Rally length bands for the statistics, in shots counting the serve. Points
+// recorded before rally lengths were kept carry a short/medium/long tag
+// instead (LEGACY_POINT_TYPES) and are counted under that.
+const RALLY_BANDS = [
+    { key: '0-4', label: '0-4 shots', min: 0, max: 4 },
+    { key: '5-8', label: '5-8 shots', min: 5, max: 8 },
+    { key: '9+', label: '9+ shots', min: 9, max: Infinity }
+];
+const LEGACY_POINT_TYPES = {
+    short: 'Short',
+    medium: 'Medium',
+    long: 'Long'
+};
+
+// Where a serve was aimed, and the two courts it can be served to
+const SERVE_DIRECTIONS = {
+    wide: 'Wide',
+    body: 'Body',
+    t: 'T'
+};
+const COURTS = {
+    deuce: 'Deuce court',
+    ad: 'Ad court'
+};
+
+// How a rally ended: the stroke, the side it was hit on and the outcome.
+// Points recorded before these were kept have a single strokeType such as
+// 'fh-winner' or 'bh-unforced', read as a groundstroke (see endingShot).
+const STROKES = {
+    groundstroke: 'Groundstroke',
+    volley: 'Volley',
+    'half-volley': 'Half volley',
+    overhead: 'Overhead',
+    'drop-shot': 'Drop shot',
+    lob: 'Lob',
+    passing: 'Passing shot',
+    return: 'Return'
+};
+const SIDES = {
+    fh: 'Forehand',
+    bh: 'Backhand'
+};
+const OUTCOMES = {
+    winner: 'Winner',
+    forced: 'Forced error',
+    unforced: 'Unforced error'
+};
+
+// Ways a player (or team) can come to the net during a point. Only the
+// server can serve and volley.
+const NET_APPROACHES = {
+    'serve-volley': 'Serve and volley',
+    approach: 'Approach shot'
+};
+
+// Code violation offences that can be recorded, and how each penalty of
+// the point penalty schedule is described.
+const OFFENCES = {
+    time: 'Time violation',
+    'ball-abuse': 'Ball abuse',
+    'racket-abuse': 'Racket abuse',
+    'audible-obscenity': 'Audible obscenity',
+    'visible-obscenity': 'Visible obscenity',
+    'verbal-abuse': 'Verbal abuse',
+    'physical-abuse': 'Physical abuse',
+    coaching: 'Coaching',
+    unsportsmanlike: 'Unsportsmanlike conduct'
+};
+const PENALTIES = {
+    warning: 'Warning',
+    point: 'Point penalty',
+    game: 'Game penalty',
+    default: 'Default'
+};
+
+// Reasons play can be paused; paused time is left out of the match clock
+const PAUSE_REASONS = {
+    rain: 'Rain',
+    darkness: 'Darkness',
+    medical: 'Medical time-out',
+    equipment: 'Equipment',
+    other: 'Other'
+};
+
+// Reasons that can be given for a match ending other than on the score
+const END_REASONS = {
+    injury: 'Injury',
+    illness: 'Illness',
+    weather: 'Weather/conditions',
+    darkness: 'Darkness',
+    time: 'Time limit reached',
+    conduct: 'Conduct',
+    personal: 'Personal reasons',
+    other: 'Other reason'
+};
+
 // The root Vue application has been extended with a template and a pair of
 // lightweight child components to better separate concerns. The
 // <match-review> component displays the list of previous matches and a
@@ -48,6 +171,43 @@ createApp({
             stage: 'review',
             // List of stored matches loaded from localStorage
             matches: [],
+            // The point log as last written to localStorage: the match,
+            // its length and the first entry changed since (null when
+            // entries were only added or removed at the end)
+            savedLog: { id: null, length: 0, changedFrom: null },
+            // Set format presets offered in the setup form
+            formatPresets: FORMAT_PRESETS,
+            // Kinds of serve fault offered in the point editor
+            faultTypes: FAULT_TYPES,
+            serveDirections: SERVE_DIRECTIONS,
+            strokes: STROKES,
+            sides: SIDES,
+            outcomes: OUTCOMES,
+            netApproaches: NET_APPROACHES,
+            courts: COURTS,
+            // Offences and penalties offered in the code violation modal
+            offences: OFFENCES,
+            penalties: PENALTIES,
+            // Reasons offered when pausing play
+            pauseReasons: PAUSE_REASONS,
+            // Serve clock running since the last point, { startedAt,
+            // limitSeconds }, or null when stopped
+            serveClock: null,
+            // Pause modal state
+            pauseModal: {
+                visible: false,
+                reason: 'rain',
+                // suspending stops the match until it is opened again
+                suspend: false
+            },
+            // Ways a match can end, and reasons, offered in the end match modal
+            resultTypes: RESULT_TYPES,
+            endReasons: END_REASONS,
+            // Current time, refreshed every second to drive the match clocks
+            now: Date.now(),
+            // Changeover or set break after the last point, with the time
+            // it started, shown as a banner with a rest countdown
+            changeover: null,
             // Match start type: 'new' or 'join'
             matchStartType: 'new',
             // Form model for starting a new match
@@ -59,7 +219,31 @@ createApp({
                 startTime: '',
                 player1: '1',
                 player2: '2',
+                // Doubles: two named players per team. The team names in
+                // player1/player2 are built from these.
+                doubles: false,
+                partners: { 1: ['', ''], 2: ['', ''] },
                 matchFormat: 3,
+                // Set format preset and the rules it sets (see FORMAT_PRESETS)
+                formatPreset: 'standard',
+                gamesPerSet: 6,
+                tiebreakAt: 6,
+                tiebreakTarget: 7,
+                tiebreakSuddenDeath: false,
+                noLets: false,
+                // Play a 10-point match tiebreak instead of the deciding set
+                matchTiebreak: false,
+                // No-ad scoring: the point at 40-40 decides the game
+                noAd: false,
+                // Timed matches: minutes of play (0 for an untimed match) and
+                // how a tie is settled when time runs out ('tiebreak', 'next-point' or 'draw')
+                timeLimitMinutes: 0,
+                timedTieRule: 'tiebreak',
+                // Serve clock: seconds allowed between points (0 for none),
+                // extended by the rest at changeovers and set breaks
+                serveClockSeconds: 0,
+                // How the deciding set is played: 'tiebreak', 'advantage', 'tiebreak-10' or 'tiebreak-12'
+                finalSetRule: 'tiebreak',
                 firstServer: 1
             },
             // Form model for joining a match in progress
@@ -71,7 +255,19 @@ createApp({
                 startTime: '',
                 player1: '1',
                 player2: '2',
+                doubles: false,
+                partners: { 1: ['', ''], 2: ['', ''] },
                 matchFormat: 3,
+                formatPreset: 'standard',
+                gamesPerSet: 6,
+                tiebreakAt: 6,
+                tiebreakTarget: 7,
+                tiebreakSuddenDeath: false,
+                noLets: false,
+                matchTiebreak: false,
+                noAd: false,
+                finalSetRule: 'tiebreak',
+                serveClockSeconds: 0,
                 setScores: [
                     { p1: 0, p2: 0 },
                     { p1: 0, p2: 0 },
@@ -90,10 +286,74 @@ createApp({
                 firstServe: '',
                 secondServe: '',
                 finalPlayer: null,
-                strokeType: '',
-                pointType: '',
+                // Doubles: index (0 or 1) of the team member who hit the final shot
+                finalMember: null,
+                // The final shot: a key of STROKES, SIDES ('' if not
+                // recorded) and OUTCOMES
+                stroke: 'groundstroke',
+                side: '',
+                outcome: '',
+                // Shots in the rally counting the serve, or null when not counted
+                rallyLength: null,
+                // Whether Shot taps are counting the rally as it is played
+                rallyCounting: false,
+                // How each player came to the net, a key of NET_APPROACHES
+                // or '' when they stayed back
+                netApproach: { 1: '', 2: '' },
+                comment: '',
+                // Side chosen by the receiver on a no-ad deciding point ('deuce' or 'ad')
+                receiverSide: '',
+                // Kind of fault on each serve, a key of FAULT_TYPES or ''
+                firstFault: '',
+                secondFault: '',
+                // Where each serve was aimed, a key of SERVE_DIRECTIONS or ''
+                firstDirection: '',
+                secondDirection: '',
+                // Lets served during the point; they are replayed and
+                // are not serve attempts
+                lets: 0
+            },
+            // Doubles serve order modal shown at the start of each set. Holds
+            // the index of the team member who serves first for each team.
+            serveOrderModal: {
+                visible: false,
+                choices: { 1: null, 2: null }
+            },
+            // Editor for correcting a past point or inserting a missed one
+            // from the Match Breakdown. index is the point's position in
+            // the point log (the position the new point takes when inserting).
+            pointEditModal: {
+                visible: false,
+                index: 0,
+                insert: false,
+                firstServe: 'in',
+                secondServe: 'in',
+                firstFault: '',
+                secondFault: '',
+                firstDirection: '',
+                secondDirection: '',
+                lets: 0,
+                // '' when the final shot was not recorded, otherwise the
+                // player id, or "playerId:memberIndex" in doubles
+                finalShot: '',
+                stroke: 'groundstroke',
+                side: 'fh',
+                outcome: 'winner',
+                winner: 1,
+                // '' when the rally length was not recorded
+                rallyLength: '',
+                netApproach: { 1: '', 2: '' },
                 comment: ''
             },
+            // Code violation modal state. The penalty defaults to the next
+            // one on the point penalty schedule for the chosen player.
+            violationModal: {
+                visible: false,
+                player: null,
+                offence: 'time',
+                penalty: 'warning',
+                note: ''
+            },
             // Game comment modal state
             gameCommentModal: {
                 visible: false,
@@ -119,7 +379,9 @@ createApp({
             // End match modal state
             endMatchModal: {
                 visible: false,
-                reason: 'completed',
+                // How the match ended, a key of RESULT_TYPES
+                resultType: 'completed',
+                reason: '',
                 winner: null,
                 notes: '',
                 setScores: [
@@ -146,8 +408,27 @@ createApp({
         // events that the root listens for. This avoids runtime errors
         // arising from invoking unbound functions.
         'match-review': {
-            props: ['matches', 'formatDate', 'formatSetScores'],
+            props: ['matches', 'formatDate', 'formatSetScores', 'formatClock', 'matchResult', 'resultTypes', 'endReasons', 'pauseReasons'],
             emits: ['open-match', 'new-match-screen'],
+            data() {
+                return {
+                    // Result type shown, 'in-progress', or '' for every match
+                    resultFilter: ''
+                };
+            },
+            computed: {
+                /**
+                 * Matches passing the result filter.
+                 */
+                filteredMatches() {
+                    if (!this.resultFilter) return this.matches;
+                    return this.matches.filter(match => {
+                        const result = this.matchResult(match);
+                        if (this.resultFilter === 'in-progress') return !result;
+                        return !!result && result.type === this.resultFilter;
+                    });
+                }
+            },
             template: `
                 <div class="match-review-section">
                     <div class="section-header">
@@ -159,10 +440,20 @@ createApp({
                         <p class="no-matches">No previous matches found.</p>
                     </div>
                     <div v-else>
-                        <div class="match-item" v-for="match in matches" :key="match.id" @click="$emit('open-match', match)">
+                        <div class="result-filter">
+                            <label for="result-filter">Show:</label>
+                            <select id="result-filter" v-model="resultFilter">
+                                <option value="">All matches</option>
+                                <option value="in-progress">In progress</option>
+                                <option v-for="(type, key) in resultTypes" :key="key" :value="key">{{ type.label }}</option>
+                            </select>
+                        </div>
+                        <p v-if="filteredMatches.length === 0" class="no-matches">No matches with this result.</p>
+                        <div class="match-item" v-for="match in filteredMatches" :key="match.id" @click="$emit('open-match', match)">
                             <div class="match-header">
                                 <div class="match-title">{{ match.player1 }} vs {{ match.player2 }}
-                                    <span v-if="match.isInProgress" class="status-indicator">In Progress</span>
+                                    <span v-if="match.isInProgress && matchResult(match)" class="status-indicator suspended">Suspended</span>
+                                    <span v-else-if="match.isInProgress" class="status-indicator">In Progress</span>
                                 </div>
                                 <div class="match-date">{{ formatDate(match.date) }}</div>
                             </div>
@@ -171,13 +462,18 @@ createApp({
                                 <span v-if="match.court"> • {{ match.court }}</span>
                                 <span v-if="match.round"> • {{ match.round }}</span>
                                 <span v-if="match.startTime"> • {{ match.startTime }}</span>
+                                <span v-if="match.durationMs" class="match-duration"> • {{ formatClock(match.durationMs) }} played</span>
                             </div>
                             <div class="match-score">
                                 <template v-if="!match.isInProgress">
-                                    {{ match.winner }} wins {{ formatSetScores(match.finalSets) }}
+                                    {{ match.winner === 'No Result' || match.winner === 'Draw' ? match.winner : match.winner + ' wins' }} {{ formatSetScores(match.finalSets, matchResult(match)) }}
+                                    <span v-if="match.endReason && match.endReason.reason === 'time'" class="end-reason">(time expired)</span>
+                                    <span v-if="endReasons[matchResult(match).reason]" class="end-reason">({{ endReasons[matchResult(match).reason] }})</span>
+                                    <div v-if="matchResult(match).notes" class="result-notes">{{ matchResult(match).notes }}</div>
                                 </template>
                                 <template v-else>
-                                    Current: {{ formatSetScores(match.finalSets) || '0-0' }}
+                                    Current: {{ formatSetScores(match.finalSets, matchResult(match)) || '0-0' }}
+                                    <span v-if="matchResult(match)" class="end-reason">({{ pauseReasons[matchResult(match).reason] || matchResult(match).reason }})</span>
                                 </template>
                             </div>
                         </div>
@@ -190,8 +486,14 @@ createApp({
         // directly. The parent provides reactive data objects (newMatch,
         // joinMatch) that this component binds to via v-model.
         'match-setup': {
-            props: ['matchStartType', 'newMatch', 'joinMatch'],
-            emits: ['start-match', 'start-join-match', 'cancel'],
+            props: ['matchStartType', 'newMatch', 'joinMatch', 'joinInTiebreak', 'joinMatchTiebreakSet', 'joinValidation', 'formatPresets'],
+            emits: ['start-match', 'start-join-match', 'cancel', 'select-format-preset'],
+            data() {
+                return {
+                    // Seconds offered when the serve clock is turned on
+                    serveClockDefault: SERVE_CLOCK
+                };
+            },
             template: `
                 <div class="player-setup">
                     <!-- Match Type Selection -->
@@ -222,16 +524,82 @@ createApp({
                         </div>
                         <div class="players-section">
                             <h4>Players</h4>
-                            <input type="text" v-model="newMatch.player1" placeholder="Player 1 Name">
-                            <input type="text" v-model="newMatch.player2" placeholder="Player 2 Name">
+                            <div class="match-type-toggle">
+                                <label>
+                                    <input type="radio" :checked="!newMatch.doubles" @change="newMatch.doubles = false"> Singles
+                                </label>
+                                <label>
+                                    <input type="radio" :checked="newMatch.doubles" @change="newMatch.doubles = true"> Doubles
+                                </label>
+                            </div>
+                            <template v-if="!newMatch.doubles">
+                                <input type="text" v-model="newMatch.player1" placeholder="Player 1 Name">
+                                <input type="text" v-model="newMatch.player2" placeholder="Player 2 Name">
+                            </template>
+                            <template v-else>
+                                <div class="team-inputs" v-for="team in [1, 2]" :key="'team' + team">
+                                    <h5>Team {{ team }}</h5>
+                                    <input type="text" v-model="newMatch.partners[team][0]" placeholder="Player Name">
+                                    <input type="text" v-model="newMatch.partners[team][1]" placeholder="Partner Name">
+                                </div>
+                            </template>
+                        </div>
+                        <div class="format-preset">
+                            <label>Set format:</label>
+                            <!-- Presets are applied by the parent so every rule they carry is copied onto the form -->
+                            <select :value="newMatch.formatPreset" @change="$emit('select-format-preset', 'new', $event.target.value)">
+                                <option v-for="(preset, id) in formatPresets" :key="id" :value="id">{{ preset.label }}</option>
+                            </select>
+                        </div>
+                        <p class="format-preset-description">{{ formatPresets[newMatch.formatPreset].description }}</p>
+                        <div class="match-format" v-if="!formatPresets[newMatch.formatPreset].sets">
+                            <!-- The match tiebreak option shares matchFormat 3, so the radios
+                                 set both fields rather than binding v-model to one of them. -->
+                            <label>
+                                <input type="radio" :checked="newMatch.matchFormat === 3 && !newMatch.matchTiebreak" @change="newMatch.matchFormat = 3; newMatch.matchTiebreak = false"> Best of 3 Sets
+                            </label>
+                            <label>
+                                <input type="radio" :checked="newMatch.matchFormat === 3 && newMatch.matchTiebreak" @change="newMatch.matchFormat = 3; newMatch.matchTiebreak = true"> Best of 3 with Match Tiebreak
+                            </label>
+                            <label>
+                                <input type="radio" :checked="newMatch.matchFormat === 5" @change="newMatch.matchFormat = 5; newMatch.matchTiebreak = false"> Best of 5 Sets
+                            </label>
+                        </div>
+                        <div class="scoring-options">
+                            <label>
+                                <input type="checkbox" v-model="newMatch.noAd"> No-ad scoring (deciding point at 40-40)
+                            </label>
                         </div>
-                        <div class="match-format">
+                        <div class="final-set-rule" v-if="!newMatch.matchTiebreak && newMatch.formatPreset === 'standard'">
+                            <label>Final set:</label>
+                            <select v-model="newMatch.finalSetRule">
+                                <option value="tiebreak">7-point tiebreak at 6-6</option>
+                                <option value="tiebreak-10">10-point tiebreak at 6-6</option>
+                                <option value="tiebreak-12">Tiebreak at 12-12</option>
+                                <option value="advantage">Advantage set (no tiebreak)</option>
+                            </select>
+                        </div>
+                        <div class="timed-match">
                             <label>
-                                <input type="radio" value="3" v-model.number="newMatch.matchFormat"> Best of 3 Sets
+                                <input type="checkbox" :checked="newMatch.timeLimitMinutes > 0" @change="newMatch.timeLimitMinutes = $event.target.checked ? 45 : 0"> Timed match
                             </label>
+                            <template v-if="newMatch.timeLimitMinutes > 0">
+                                <input type="number" v-model.number="newMatch.timeLimitMinutes" min="1" max="300"> minutes
+                                <label>If tied when time runs out:</label>
+                                <select v-model="newMatch.timedTieRule">
+                                    <option value="tiebreak">Play a 7-point tiebreak</option>
+                                    <option value="next-point">Next point wins</option>
+                                    <option value="draw">Record a draw</option>
+                                </select>
+                            </template>
+                        </div>
+                        <div class="timed-match serve-clock-setting">
                             <label>
-                                <input type="radio" value="5" v-model.number="newMatch.matchFormat"> Best of 5 Sets
+                                <input type="checkbox" :checked="newMatch.serveClockSeconds > 0" @change="newMatch.serveClockSeconds = $event.target.checked ? serveClockDefault : 0"> Serve clock
                             </label>
+                            <template v-if="newMatch.serveClockSeconds > 0">
+                                <input type="number" v-model.number="newMatch.serveClockSeconds" min="5" max="120"> seconds between points
+                            </template>
                         </div>
                         <div class="server-selection">
                             <h4>Who serves first?</h4>
@@ -265,16 +633,68 @@ createApp({
                         </div>
                         <div class="players-section">
                             <h4>Players</h4>
-                            <input type="text" v-model="joinMatch.player1" placeholder="Player 1 Name">
-                            <input type="text" v-model="joinMatch.player2" placeholder="Player 2 Name">
+                            <div class="match-type-toggle">
+                                <label>
+                                    <input type="radio" :checked="!joinMatch.doubles" @change="joinMatch.doubles = false"> Singles
+                                </label>
+                                <label>
+                                    <input type="radio" :checked="joinMatch.doubles" @change="joinMatch.doubles = true"> Doubles
+                                </label>
+                            </div>
+                            <template v-if="!joinMatch.doubles">
+                                <input type="text" v-model="joinMatch.player1" placeholder="Player 1 Name">
+                                <input type="text" v-model="joinMatch.player2" placeholder="Player 2 Name">
+                            </template>
+                            <template v-else>
+                                <div class="team-inputs" v-for="team in [1, 2]" :key="'team' + team">
+                                    <h5>Team {{ team }}</h5>
+                                    <input type="text" v-model="joinMatch.partners[team][0]" placeholder="Player Name">
+                                    <input type="text" v-model="joinMatch.partners[team][1]" placeholder="Partner Name">
+                                </div>
+                            </template>
+                        </div>
+                        <div class="format-preset">
+                            <label>Set format:</label>
+                            <!-- Presets are applied by the parent so every rule they carry is copied onto the form -->
+                            <select :value="joinMatch.formatPreset" @change="$emit('select-format-preset', 'join', $event.target.value)">
+                                <option v-for="(preset, id) in formatPresets" :key="id" :value="id">{{ preset.label }}</option>
+                            </select>
+                        </div>
+                        <p class="format-preset-description">{{ formatPresets[joinMatch.formatPreset].description }}</p>
+                        <div class="match-format" v-if="!formatPresets[joinMatch.formatPreset].sets">
+                            <!-- The match tiebreak option shares matchFormat 3, so the radios
+                                 set both fields rather than binding v-model to one of them. -->
+                            <label>
+                                <input type="radio" :checked="joinMatch.matchFormat === 3 && !joinMatch.matchTiebreak" @change="joinMatch.matchFormat = 3; joinMatch.matchTiebreak = false"> Best of 3 Sets
+                            </label>
+                            <label>
+                                <input type="radio" :checked="joinMatch.matchFormat === 3 && joinMatch.matchTiebreak" @change="joinMatch.matchFormat = 3; joinMatch.matchTiebreak = true"> Best of 3 with Match Tiebreak
+                            </label>
+                            <label>
+                                <input type="radio" :checked="joinMatch.matchFormat === 5" @change="joinMatch.matchFormat = 5; joinMatch.matchTiebreak = false"> Best of 5 Sets
+                            </label>
                         </div>
-                        <div class="match-format">
+                        <div class="scoring-options">
                             <label>
-                                <input type="radio" value="3" v-model.number="joinMatch.matchFormat"> Best of 3 Sets
+                                <input type="checkbox" v-model="joinMatch.noAd"> No-ad scoring (deciding point at 40-40)
                             </label>
+                        </div>
+                        <div class="final-set-rule" v-if="!joinMatch.matchTiebreak && joinMatch.formatPreset === 'standard'">
+                            <label>Final set:</label>
+                            <select v-model="joinMatch.finalSetRule">
+                                <option value="tiebreak">7-point tiebreak at 6-6</option>
+                                <option value="tiebreak-10">10-point tiebreak at 6-6</option>
+                                <option value="tiebreak-12">Tiebreak at 12-12</option>
+                                <option value="advantage">Advantage set (no tiebreak)</option>
+                            </select>
+                        </div>
+                        <div class="timed-match serve-clock-setting">
                             <label>
-                                <input type="radio" value="5" v-model.number="joinMatch.matchFormat"> Best of 5 Sets
+                                <input type="checkbox" :checked="joinMatch.serveClockSeconds > 0" @change="joinMatch.serveClockSeconds = $event.target.checked ? serveClockDefault : 0"> Serve clock
                             </label>
+                            <template v-if="joinMatch.serveClockSeconds > 0">
+                                <input type="number" v-model.number="joinMatch.serveClockSeconds" min="5" max="120"> seconds between points
+                            </template>
                         </div>
                         <!-- Current Match State -->
                         <div class="current-match-state">
@@ -283,42 +703,44 @@ createApp({
                                 <h5>Completed Sets:</h5>
                                 <div class="sets-input-grid">
                                     <div v-for="n in joinMatch.matchFormat" :key="'set'+n" class="set-input" v-show="n <= Math.min(joinMatch.matchFormat, 5)">
-                                        <label>Set {{ n }}:</label>
+                                        <label>{{ n - 1 === joinMatchTiebreakSet ? 'Match tiebreak points' : 'Set ' + n }}:</label>
                                         <div class="score-input-container">
                                             <div class="player-score-input">
                                                 <label class="player-label">{{ joinMatch.player1 || '1' }}</label>
-                                                <input type="number" v-model.number="joinMatch.setScores[n-1].p1" min="0" max="20" placeholder="0">
+                                                <input type="number" v-model.number="joinMatch.setScores[n-1].p1" min="0" :max="n - 1 === joinMatchTiebreakSet ? 30 : 20" placeholder="0">
                                             </div>
                                             <span class="score-separator">-</span>
                                             <div class="player-score-input">
                                                 <label class="player-label">{{ joinMatch.player2 || '2' }}</label>
-                                                <input type="number" v-model.number="joinMatch.setScores[n-1].p2" min="0" max="20" placeholder="0">
+                                                <input type="number" v-model.number="joinMatch.setScores[n-1].p2" min="0" :max="n - 1 === joinMatchTiebreakSet ? 30 : 20" placeholder="0">
                                             </div>
                                         </div>
                                     </div>
                                 </div>
                             </div>
                             <div class="current-game">
-                                <h5>Current Game Points:</h5>
+                                <h5>{{ joinInTiebreak ? 'Current Tiebreak Points:' : 'Current Game Points:' }}</h5>
                                 <div class="game-score-inputs">
                                     <div class="game-score-input">
                                         <label class="game-player-label">{{ joinMatch.player1 || '1' }}:</label>
-                                        <select v-model="joinMatch.currentPoints.p1">
+                                        <input v-if="joinInTiebreak" type="number" v-model.number="joinMatch.currentPoints.p1" min="0" max="30" placeholder="0">
+                                        <select v-else v-model="joinMatch.currentPoints.p1">
                                             <option value="0">0</option>
                                             <option value="1">15</option>
                                             <option value="2">30</option>
                                             <option value="3">40</option>
-                                            <option value="4">40+ (Ad)</option>
+                                            <option v-if="!joinMatch.noAd" value="4">40+ (Ad)</option>
                                         </select>
                                     </div>
                                     <div class="game-score-input">
                                         <label class="game-player-label">{{ joinMatch.player2 || '2' }}:</label>
-                                        <select v-model="joinMatch.currentPoints.p2">
+                                        <input v-if="joinInTiebreak" type="number" v-model.number="joinMatch.currentPoints.p2" min="0" max="30" placeholder="0">
+                                        <select v-else v-model="joinMatch.currentPoints.p2">
                                             <option value="0">0</option>
                                             <option value="1">15</option>
                                             <option value="2">30</option>
                                             <option value="3">40</option>
-                                            <option value="4">40+ (Ad)</option>
+                                            <option v-if="!joinMatch.noAd" value="4">40+ (Ad)</option>
                                         </select>
                                     </div>
                                 </div>
@@ -331,9 +753,13 @@ createApp({
                                 </div>
                             </div>
                         </div>
+                        <div v-if="joinValidation.errors.length || joinValidation.warnings.length" class="score-validation">
+                            <p v-for="message in joinValidation.errors" :key="'error-' + message" class="validation-error">{{ message }}</p>
+                            <p v-for="message in joinValidation.warnings" :key="'warning-' + message" class="validation-warning">{{ message }}</p>
+                        </div>
                         <!-- Emit start-join-match event instead of calling parent method -->
                         <div class="match-action-buttons">
-                            <button id="join-match" @click="$emit('start-join-match')">Join Match</button>
+                            <button id="join-match" :disabled="joinValidation.errors.length > 0" @click="$emit('start-join-match')">Join Match</button>
                         </div>
                     </div>
                     <div class="cancel-button-container">
@@ -355,6 +781,11 @@ createApp({
                 :matches="matches"
                 :format-date="formatDate"
                 :format-set-scores="formatSetScores"
+                :format-clock="formatClock"
+                :match-result="matchResult"
+                :result-types="resultTypes"
+                :end-reasons="endReasons"
+                :pause-reasons="pauseReasons"
                 @open-match="openMatch"
                 @new-match-screen="newMatchScreen"
             ></match-review>
@@ -363,10 +794,15 @@ createApp({
                 :match-start-type="matchStartType"
                 :new-match="newMatch"
                 :join-match="joinMatch"
+                :join-in-tiebreak="joinInTiebreak"
+                :join-match-tiebreak-set="joinMatchTiebreakSet"
+                :join-validation="joinValidation"
+                :format-presets="formatPresets"
                 @start-match="startMatch"
                 @start-join-match="startJoinMatch"
                 @cancel="stage = 'review'"
                 @update-match-start-type="matchStartType = $event"
+                @select-format-preset="applyFormatPreset"
             ></match-setup>
             <!-- Active match scoreboard and related controls -->
             <div v-if="stage === 'match'" class="scoreboard">
@@ -374,63 +810,180 @@ createApp({
                     <thead>
                         <tr>
                             <th>Player</th>
-                            <th v-for="n in maxSets" :key="n" v-show="n <= match.matchFormat">Set {{ n }}</th>
+                            <th v-for="n in maxSets" :key="n" v-show="n <= match.matchFormat">{{ match.matchTiebreak && n === match.matchFormat ? 'Match TB' : 'Set ' + n }}</th>
                             <th>Points</th>
                         </tr>
                     </thead>
                     <tbody>
                         <tr :class="{'current-server': match.server === 1, 'winner': match.matchComplete && winner === match.players[1].name}" data-player="1">
-                            <td class="player-name">{{ match.players[1].name }}</td>
+                            <td class="player-name">
+                                <template v-if="match.doubles">
+                                    <span v-for="(member, idx) in match.players[1].members" :key="'m1-' + idx" class="team-member" :class="{'serving-member': match.server === 1 && servingMember() === idx}">{{ member.name }}</span>
+                                </template>
+                                <template v-else>{{ match.players[1].name }}</template>
+                            </td>
                             <td v-for="n in maxSets" :key="'p1-' + n" v-show="n <= match.matchFormat">{{ displaySetScore(1, n - 1) }}</td>
                             <td class="point-score">{{ pointDisplay(1) }}</td>
                         </tr>
                         <tr :class="{'current-server': match.server === 2, 'winner': match.matchComplete && winner === match.players[2].name}" data-player="2">
-                            <td class="player-name">{{ match.players[2].name }}</td>
+                            <td class="player-name">
+                                <template v-if="match.doubles">
+                                    <span v-for="(member, idx) in match.players[2].members" :key="'m2-' + idx" class="team-member" :class="{'serving-member': match.server === 2 && servingMember() === idx}">{{ member.name }}</span>
+                                </template>
+                                <template v-else>{{ match.players[2].name }}</template>
+                            </td>
                             <td v-for="n in maxSets" :key="'p2-' + n" v-show="n <= match.matchFormat">{{ displaySetScore(2, n - 1) }}</td>
                             <td class="point-score">{{ pointDisplay(2) }}</td>
                         </tr>
                     </tbody>
                 </table>
+                <div v-if="changeover && !match.matchComplete" class="changeover-banner" :class="{'set-break': changeover.setBreak}">
+                    <span class="changeover-title">{{ changeover.setBreak ? (changeover.changeEnds ? 'Set break – change ends' : 'Set break') : 'Change ends' }}</span>
+                    <span v-if="changeover.restSeconds" class="changeover-countdown" :class="{'expired': changeoverRemaining === 0}">{{ changeoverRemaining > 0 ? formatClock(changeoverRemaining) : 'Time' }}</span>
+                    <button class="dismiss-changeover-btn" @click="changeover = null">Dismiss</button>
+                </div>
+                <div v-if="serveClock && !match.matchComplete" class="serve-clock" :class="{'warning': serveClockRemaining <= 10000, 'expired': serveClockRemaining === 0}">
+                    <span class="serve-clock-title">Serve clock</span>
+                    <span class="serve-clock-countdown">{{ serveClockRemaining > 0 ? formatClock(serveClockRemaining) : 'Time' }}</span>
+                    <!-- Either player can delay play: the server first, then the receiver -->
+                    <template v-if="serveClockRemaining === 0">
+                        <button v-for="pid in [match.server, match.server === 1 ? 2 : 1]" :key="'time-violation-' + pid" class="time-violation-btn" @click="recordTimeViolation(pid)">Time Violation – {{ match.players[pid].name }}</button>
+                    </template>
+                    <button class="dismiss-serve-clock-btn" @click="serveClock = null">Stop</button>
+                </div>
                 <div class="match-status">
+                    <div class="match-clock" :class="{'paused': currentPause()}">
+                        Match time: {{ formatClock(matchDurationMs) }}
+                        <span v-if="currentPause()" class="pause-label">– paused ({{ pauseReasons[currentPause().reason] }})</span>
+                    </div>
                     <div id="serving-indicator">{{ servingIndicator }}</div>
-                    <div id="match-result" class="match-result" v-if="match.matchComplete">{{ winner }} wins the match!</div>
+                    <div class="court-ends" v-if="!match.matchComplete">Left end: {{ match.players[courtEnds.left].name }} · Right end: {{ match.players[courtEnds.right].name }}</div>
+                    <div class="match-countdown" v-if="match.timeLimitMinutes > 0 && !match.matchComplete" :class="{'expired': timeRemaining === 0}">
+                        <template v-if="timeRemaining > 0">Time left: {{ formatClock(timeRemaining) }}</template>
+                        <template v-else-if="match.timeTiebreak">Time expired – {{ match.timeTiebreak === 'next-point' ? 'next point wins' : 'deciding tiebreak' }}</template>
+                        <template v-else>Time expired – finishing the current game</template>
+                    </div>
+                    <div class="situation-badges" v-if="currentSituation">
+                        <template v-for="pid in [1, 2]" :key="'situation' + pid">
+                            <span v-if="situationLabel(currentSituation, pid)" class="situation-badge" :class="'situation-' + currentSituation[pid][currentSituation[pid].length - 1]">{{ situationLabel(currentSituation, pid) }} – {{ match.players[pid].name }}</span>
+                        </template>
+                    </div>
+                    <div class="deciding-point-indicator" v-if="isDecidingPoint()">Deciding point – {{ match.players[match.server === 1 ? 2 : 1].name }} chooses the receiving side</div>
+                    <div id="match-result" class="match-result" v-if="match.matchComplete">{{ resultText }}</div>
                 </div>
                 <div class="controls">
                     <div class="primary-controls">
-                        <button id="point-btn" class="point-button" @click="openServeModal" :disabled="match.matchComplete">Point Played</button>
+                        <button id="point-btn" class="point-button" @click="openServeModal" :disabled="match.matchComplete || !!currentPause()">Point Played</button>
                     </div>
                     <div class="match-controls">
                         <button id="undo-btn" @click="undoLastPoint" :disabled="match.matchComplete || match.pointHistory.length === 0">Undo Last Point</button>
+                        <button id="redo-btn" @click="redoPoint" :disabled="match.matchComplete || match.redoStack.length === 0">Redo Point</button>
+                        <button id="violation-btn" @click="showViolationModal" :disabled="match.matchComplete">Code Violation</button>
+                        <button v-if="currentPause()" id="resume-btn" @click="resumePlay">Resume Play</button>
+                        <button v-else id="pause-btn" @click="showPauseModal" :disabled="match.matchComplete">Pause Play</button>
+                        <button id="suspend-btn" @click="showSuspendModal" :disabled="match.matchComplete">Suspend Match</button>
                         <button id="match-over-btn" class="match-over-button" @click="showEndMatchModal" :disabled="match.matchComplete">Match is Over</button>
                     </div>
                     <div class="review-controls">
                         <button id="show-stats" @click="toggleStats">Match Stats</button>
                         <button id="point-breakdown" @click="showPointBreakdown">Point Breakdown</button>
                         <button id="fast-forward" @click="showFastForwardModal" :disabled="match.matchComplete">Fast Forward</button>
+                        <button id="export-scoresheet" @click="exportScoresheet">Export Scoresheet</button>
                     </div>
                 </div>
+                <!-- Recent points, including undone points that can be redone.
+                     Clicking a point steps the match back or forward to just after it. -->
+                <div class="action-history" v-if="recentActions.length">
+                    <h4>Recent Points</h4>
+                    <ol class="action-list">
+                        <li v-for="action in recentActions" :key="(action.undone ? 'redo-' : 'point-') + action.count" class="action-item" :class="{'undone': action.undone, 'current': action.count === match.pointHistory.length}">
+                            <button class="action-btn" @click="stepTo(action.count)" :disabled="match.matchComplete || action.count === match.pointHistory.length">
+                                <span class="action-label">Set {{ action.record.setNumber }} · Game {{ action.record.gameNumber }}</span>
+                                <span class="action-summary">{{ pointSummary(action.record) }}</span>
+                                <span class="action-state" v-if="action.undone">undone</span>
+                            </button>
+                        </li>
+                    </ol>
+                </div>
                 <div class="serve-stats" v-if="statsVisible">
                     <h3>Match Statistics</h3>
                     <div class="stats-grid">
-                        <div class="player-stats">
-                            <h4>{{ match.players[1].name }}</h4>
-                            <div class="stat-row"><span>1st Serve %:</span><span>{{ statDisplay(match.players[1], 'firstServePct') }}</span></div>
-                            <div class="stat-row"><span>1st Serve Won:</span><span>{{ statDisplay(match.players[1], 'firstServeWon') }}</span></div>
-                            <div class="stat-row"><span>2nd Serve Won:</span><span>{{ statDisplay(match.players[1], 'secondServeWon') }}</span></div>
-                            <div class="stat-row"><span>Aces:</span><span>{{ match.players[1].stats.aces }}</span></div>
-                            <div class="stat-row"><span>Double Faults:</span><span>{{ match.players[1].stats.doubleFaults }}</span></div>
-                            <div class="stat-row"><span>Winners:</span><span>{{ match.players[1].stats.winners }}</span></div>
-                            <div class="stat-row"><span>Unforced Errors:</span><span>{{ match.players[1].stats.unforcedErrors }}</span></div>
-                        </div>
-                        <div class="player-stats">
-                            <h4>{{ match.players[2].name }}</h4>
-                            <div class="stat-row"><span>1st Serve %:</span><span>{{ statDisplay(match.players[2], 'firstServePct') }}</span></div>
-                            <div class="stat-row"><span>1st Serve Won:</span><span>{{ statDisplay(match.players[2], 'firstServeWon') }}</span></div>
-                            <div class="stat-row"><span>2nd Serve Won:</span><span>{{ statDisplay(match.players[2], 'secondServeWon') }}</span></div>
-                            <div class="stat-row"><span>Aces:</span><span>{{ match.players[2].stats.aces }}</span></div>
-                            <div class="stat-row"><span>Double Faults:</span><span>{{ match.players[2].stats.doubleFaults }}</span></div>
-                            <div class="stat-row"><span>Winners:</span><span>{{ match.players[2].stats.winners }}</span></div>
-                            <div class="stat-row"><span>Unforced Errors:</span><span>{{ match.players[2].stats.unforcedErrors }}</span></div>
+                        <div class="player-stats" v-for="pid in [1, 2]" :key="'stats' + pid">
+                            <h4>{{ match.players[pid].name }}</h4>
+                            <div class="stat-row"><span>1st Serve %:</span><span>{{ statDisplay(match.players[pid], 'firstServePct') }}</span></div>
+                            <div class="stat-row"><span>1st Serve Won:</span><span>{{ statDisplay(match.players[pid], 'firstServeWon') }}</span></div>
+                            <div class="stat-row"><span>2nd Serve Won:</span><span>{{ statDisplay(match.players[pid], 'secondServeWon') }}</span></div>
+                            <div class="stat-row"><span>Aces:</span><span>{{ match.players[pid].stats.aces }}</span></div>
+                            <div class="stat-row"><span>Double Faults:</span><span>{{ match.players[pid].stats.doubleFaults }}</span></div>
+                            <div class="stat-row"><span>Faults Long / Wide / Net:</span><span>{{ statDisplay(match.players[pid], 'faultTypes') }}</span></div>
+                            <div class="stat-row"><span>Foot Faults:</span><span>{{ statDisplay(match.players[pid], 'footFaults') }}</span></div>
+                            <div class="stat-row"><span>Lets:</span><span>{{ statDisplay(match.players[pid], 'lets') }}</span></div>
+                            <div class="stat-row"><span>Winners:</span><span>{{ match.players[pid].stats.winners }}</span></div>
+                            <div class="stat-row"><span>Unforced Errors:</span><span>{{ match.players[pid].stats.unforcedErrors }}</span></div>
+                            <div class="stat-row"><span>Forced Errors:</span><span>{{ statDisplay(match.players[pid], 'forcedErrors') }}</span></div>
+                            <div class="stat-row"><span>Forced Errors Induced:</span><span>{{ statDisplay(match.players[pid], 'forcedErrorsInduced') }}</span></div>
+                            <!-- Final shots by stroke and side: winners / forced / unforced errors -->
+                            <div class="shot-stats" v-if="shotStats[pid].length">
+                                <h5>Shots (W / FE / UE)</h5>
+                                <div class="stat-row" v-for="row in shotStats[pid]" :key="'shot' + pid + row.key"><span>{{ row.label }}:</span><span>{{ row.winner }} / {{ row.forced }} / {{ row.unforced }}</span></div>
+                            </div>
+                            <div class="serve-placement">
+                                <h5>Serve by Court</h5>
+                                <div class="stat-row" v-for="(label, court) in courts" :key="'court' + pid + court">
+                                    <span>{{ label }}:</span>
+                                    <span>{{ percentOf(servePlacementStats[pid].courts[court].firstIn, servePlacementStats[pid].courts[court].points) }} 1st in · won {{ servePlacementStats[pid].courts[court].won }}/{{ servePlacementStats[pid].courts[court].points }} · {{ servePlacementStats[pid].courts[court].aces }} aces</span>
+                                </div>
+                                <h5>Serve by Direction</h5>
+                                <div class="stat-row" v-for="(label, direction) in serveDirections" :key="'direction' + pid + direction">
+                                    <span>{{ label }}:</span>
+                                    <span>{{ percentOf(servePlacementStats[pid].directions[direction].in, servePlacementStats[pid].directions[direction].serves) }} in · won {{ servePlacementStats[pid].directions[direction].won }}/{{ servePlacementStats[pid].directions[direction].in }} · {{ servePlacementStats[pid].directions[direction].aces }} aces</span>
+                                </div>
+                            </div>
+                            <div class="return-stats">
+                                <h5>Return</h5>
+                                <div class="stat-row"><span>Return Points Won:</span><span>{{ returnStats[pid].won }}/{{ returnStats[pid].points }} ({{ percentOf(returnStats[pid].won, returnStats[pid].points) }})</span></div>
+                                <div class="stat-row"><span>1st Serve Return Won:</span><span>{{ returnStats[pid].firstWon }}/{{ returnStats[pid].firstPoints }} ({{ percentOf(returnStats[pid].firstWon, returnStats[pid].firstPoints) }})</span></div>
+                                <div class="stat-row"><span>2nd Serve Return Won:</span><span>{{ returnStats[pid].secondWon }}/{{ returnStats[pid].secondPoints }} ({{ percentOf(returnStats[pid].secondWon, returnStats[pid].secondPoints) }})</span></div>
+                                <div class="stat-row"><span>Return Winners / Errors:</span><span>{{ returnStats[pid].winners }} / {{ returnStats[pid].errors }}</span></div>
+                                <div class="stat-row" v-for="set in returnStats[pid].games" :key="'return-games' + pid + set.setNumber"><span>Return Games Won, Set {{ set.setNumber }}:</span><span>{{ set.won }}/{{ set.played }}</span></div>
+                            </div>
+                            <div class="stat-row" v-for="band in rallyStats.bands" :key="'rally' + pid + band.key"><span>Won {{ band.label }}:</span><span>{{ band.won[pid] }}/{{ band.played }}</span></div>
+                            <template v-for="(bucket, type) in rallyStats.legacy" :key="'legacy' + pid + type">
+                                <div class="stat-row" v-if="bucket.played"><span>Won {{ bucket.label }} Points:</span><span>{{ bucket.won[pid] }}/{{ bucket.played }}</span></div>
+                            </template>
+                            <div class="stat-row"><span>Net Points Won:</span><span>{{ netStats[pid].won }}/{{ netStats[pid].approaches }} ({{ percentOf(netStats[pid].won, netStats[pid].approaches) }})</span></div>
+                            <div class="stat-row" v-for="set in netStats[pid].sets" :key="'net-set' + pid + set.setNumber"><span>Net Points Won, Set {{ set.setNumber }}:</span><span>{{ set.won }}/{{ set.approaches }}</span></div>
+                            <div class="stat-row"><span>Break Points Saved:</span><span>{{ breakPointStats[pid].saved }}/{{ breakPointStats[pid].faced }}</span></div>
+                            <div class="stat-row"><span>Break Points Won:</span><span>{{ breakPointStats[pid].converted }}/{{ breakPointStats[pid].opportunities }}</span></div>
+                            <!-- Doubles: the same figures for each team member -->
+                            <div class="member-stats" v-if="match.doubles" v-for="(member, idx) in match.players[pid].members" :key="'member-stats' + pid + idx">
+                                <h5>{{ member.name }}</h5>
+                                <div class="stat-row"><span>1st Serve %:</span><span>{{ statDisplay(member, 'firstServePct') }}</span></div>
+                                <div class="stat-row"><span>1st Serve Won:</span><span>{{ statDisplay(member, 'firstServeWon') }}</span></div>
+                                <div class="stat-row"><span>2nd Serve Won:</span><span>{{ statDisplay(member, 'secondServeWon') }}</span></div>
+                                <div class="stat-row"><span>Aces:</span><span>{{ member.stats.aces }}</span></div>
+                                <div class="stat-row"><span>Double Faults:</span><span>{{ member.stats.doubleFaults }}</span></div>
+                                <div class="stat-row"><span>Faults Long / Wide / Net:</span><span>{{ statDisplay(member, 'faultTypes') }}</span></div>
+                                <div class="stat-row"><span>Foot Faults:</span><span>{{ statDisplay(member, 'footFaults') }}</span></div>
+                                <div class="stat-row"><span>Lets:</span><span>{{ statDisplay(member, 'lets') }}</span></div>
+                                <div class="stat-row"><span>Winners:</span><span>{{ member.stats.winners }}</span></div>
+                                <div class="stat-row"><span>Unforced Errors:</span><span>{{ member.stats.unforcedErrors }}</span></div>
+                                <div class="stat-row"><span>Forced Errors:</span><span>{{ statDisplay(member, 'forcedErrors') }}</span></div>
+                            </div>
+                        </div>
+                    </div>
+                    <!-- Timings leave out pauses; a game is timed from the
+                         point before it, so it includes the changeover -->
+                    <div class="match-timing">
+                        <h4>Timing</h4>
+                        <div class="stat-row"><span>Match Time:</span><span>{{ formatClock(matchDurationMs) }}</span></div>
+                        <div class="stat-row"><span>Average Between Points:</span><span>{{ matchTiming.averageBetweenPointsMs ? formatClock(matchTiming.averageBetweenPointsMs) : '-' }}</span></div>
+                        <div class="stat-row"><span>Longest Game:</span><span>{{ matchTiming.longestGame ? formatClock(matchTiming.longestGame.ms) + ' (set ' + matchTiming.longestGame.setNumber + ', game ' + matchTiming.longestGame.gameNumber + ')' : '-' }}</span></div>
+                        <div class="set-timing" v-for="set in matchTiming.sets" :key="'set-timing' + set.setNumber">
+                            <div class="stat-row"><span>Set {{ set.setNumber }}:</span><span>{{ formatClock(set.ms) }}</span></div>
+                            <div class="game-timings">
+                                <span v-for="game in set.games" :key="'game-timing' + game.gameNumber" class="game-timing">G{{ game.gameNumber }} {{ formatClock(game.ms) }}</span>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -439,7 +992,7 @@ createApp({
             <div v-if="serveModal.visible" class="modal" style="display:block;">
                 <div class="modal-content">
                     <div class="modal-header">
-                        <h3>{{ match.players[match.server].name }} serving</h3>
+                        <h3>{{ serverName() }} serving – {{ courts[serveCourt()].toLowerCase() }}</h3>
                         <span class="close" @click="closeServeModal">&times;</span>
                     </div>
                     <div class="modal-body">
@@ -451,58 +1004,109 @@ createApp({
                             </div>
                             <p style="font-size: 0.9em; color: #666; margin-top: 10px;">Or fill out details below:</p>
                         </div>
+                        <div v-if="isDecidingPoint()" class="deciding-point-section">
+                            <h4>Deciding Point – {{ match.players[match.server === 1 ? 2 : 1].name }} receives on:</h4>
+                            <div class="receiver-side-buttons">
+                                <button class="receiver-side-btn" :class="{'selected': serveModal.receiverSide === 'deuce'}" @click="serveModal.receiverSide = 'deuce'">Deuce Side</button>
+                                <button class="receiver-side-btn" :class="{'selected': serveModal.receiverSide === 'ad'}" @click="serveModal.receiverSide = 'ad'">Ad Side</button>
+                            </div>
+                        </div>
                         <div v-if="!serveModal.firstServe">
                             <h4>First Serve:</h4>
+                            <div class="serve-direction-buttons">
+                                <span class="serve-direction-label">Aimed:</span>
+                                <button v-for="(label, key) in serveDirections" :key="'first-direction-' + key" class="serve-direction-btn" :class="{'selected': serveModal.firstDirection === key}" @click="serveModal.firstDirection = serveModal.firstDirection === key ? '' : key">{{ label }}</button>
+                            </div>
                             <div class="serve-buttons">
                                 <button class="serve-btn" :class="{'selected': serveModal.firstServe === 'ace'}" @click="selectFirstServe('ace')">Ace</button>
                                 <button class="serve-btn" :class="{'selected': serveModal.firstServe === 'unreturned'}" @click="selectFirstServe('unreturned')">Unreturned</button>
                                 <button class="serve-btn" :class="{'selected': serveModal.firstServe === 'in'}" @click="selectFirstServe('in')">In (Returned)</button>
-                                <button class="serve-btn" :class="{'selected': serveModal.firstServe === 'out'}" @click="selectFirstServe('out')">Out/Fault</button>
+                            </div>
+                            <h5>Fault:</h5>
+                            <div class="serve-buttons fault-buttons">
+                                <button class="serve-btn" @click="selectFirstServe('out', 'long')">Long</button>
+                                <button class="serve-btn" @click="selectFirstServe('out', 'wide')">Wide</button>
+                                <button class="serve-btn" @click="selectFirstServe('out', 'net')">Net</button>
+                                <button class="serve-btn" @click="selectFirstServe('out', 'foot-fault')">Foot Fault</button>
                             </div>
                         </div>
                         <div v-else-if="serveModal.firstServe === 'out' && !serveModal.secondServe">
                             <h4>Second Serve:</h4>
+                            <div class="serve-direction-buttons">
+                                <span class="serve-direction-label">Aimed:</span>
+                                <button v-for="(label, key) in serveDirections" :key="'second-direction-' + key" class="serve-direction-btn" :class="{'selected': serveModal.secondDirection === key}" @click="serveModal.secondDirection = serveModal.secondDirection === key ? '' : key">{{ label }}</button>
+                            </div>
                             <div class="serve-buttons">
                                 <button class="serve-btn" :class="{'selected': serveModal.secondServe === 'ace'}" @click="selectSecondServe('ace')">Ace</button>
                                 <button class="serve-btn" :class="{'selected': serveModal.secondServe === 'unreturned'}" @click="selectSecondServe('unreturned')">Unreturned</button>
                                 <button class="serve-btn" :class="{'selected': serveModal.secondServe === 'in'}" @click="selectSecondServe('in')">In (Returned)</button>
-                                <button class="serve-btn" :class="{'selected': serveModal.secondServe === 'double-fault'}" @click="selectSecondServe('double-fault')">Double Fault</button>
                             </div>
+                            <h5>Double fault:</h5>
+                            <div class="serve-buttons fault-buttons">
+                                <button class="serve-btn" @click="selectSecondServe('double-fault', 'long')">Long</button>
+                                <button class="serve-btn" @click="selectSecondServe('double-fault', 'wide')">Wide</button>
+                                <button class="serve-btn" @click="selectSecondServe('double-fault', 'net')">Net</button>
+                                <button class="serve-btn" @click="selectSecondServe('double-fault', 'foot-fault')">Foot Fault</button>
+                            </div>
+                        </div>
+                        <div v-if="!match.noLets && (!serveModal.firstServe || (serveModal.firstServe === 'out' && !serveModal.secondServe))" class="let-section">
+                            <button class="let-btn" @click="selectLet">Let – replay serve</button>
+                            <span v-if="serveModal.lets" class="let-count">{{ serveModal.lets }} let{{ serveModal.lets !== 1 ? 's' : '' }} this point</span>
                         </div>
                         <div v-if="serveNeedsFinal()">
+                            <div class="net-approach-section">
+                                <h5>Came to the net?</h5>
+                                <div class="net-approach-row" v-for="pid in [1, 2]" :key="'net' + pid">
+                                    <span class="net-approach-player">{{ match.players[pid].name }}:</span>
+                                    <template v-for="(label, key) in netApproaches" :key="'net' + pid + key">
+                                        <button v-if="key !== 'serve-volley' || pid === match.server" class="net-approach-btn" :class="{'selected': serveModal.netApproach[pid] === key}" @click="toggleNetApproach(pid, key)">{{ label }}</button>
+                                    </template>
+                                </div>
+                            </div>
                             <h4>How did the point end?</h4>
                             <div class="player-selection">
                                 <h5>Which player hit the final shot?</h5>
-                                <div class="player-buttons">
+                                <div class="player-buttons" v-if="!match.doubles">
                                     <button class="player-btn" :class="{'selected': serveModal.finalPlayer === 1}" @click="selectFinalPlayer(1)">{{ match.players[1].name }}</button>
                                     <button class="player-btn" :class="{'selected': serveModal.finalPlayer === 2}" @click="selectFinalPlayer(2)">{{ match.players[2].name }}</button>
                                 </div>
+                                <div class="player-buttons doubles-player-buttons" v-else>
+                                    <template v-for="pid in [1, 2]" :key="'final' + pid">
+                                        <button v-for="(member, idx) in match.players[pid].members" :key="'final' + pid + idx" class="player-btn" :class="{'selected': serveModal.finalPlayer === pid && serveModal.finalMember === idx}" @click="selectFinalPlayer(pid, idx)">{{ member.name }}</button>
+                                    </template>
+                                </div>
                             </div>
                             <div class="stroke-selection" v-if="serveModal.finalPlayer">
                                 <h5>What type of shot?</h5>
-                                <div class="ending-buttons">
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'fh-winner'}" @click="selectStroke('fh-winner')">Forehand Winner</button>
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'bh-winner'}" @click="selectStroke('bh-winner')">Backhand Winner</button>
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'fh-unforced'}" @click="selectStroke('fh-unforced')">Forehand UE</button>
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'bh-unforced'}" @click="selectStroke('bh-unforced')">Backhand UE</button>
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'fh-forced'}" @click="selectStroke('fh-forced')">Forced Forehand Error</button>
-                                    <button class="ending-btn" :class="{'selected': serveModal.strokeType === 'bh-forced'}" @click="selectStroke('bh-forced')">Forced Backhand Error</button>
+                                <div class="ending-buttons shot-outcomes">
+                                    <button v-for="(label, key) in outcomes" :key="'outcome-' + key" class="ending-btn" :class="{'selected': serveModal.outcome === key}" @click="selectStroke('outcome', key)">{{ label }}</button>
+                                </div>
+                                <div class="ending-buttons shot-sides">
+                                    <button v-for="(label, key) in sides" :key="'side-' + key" class="ending-btn" :class="{'selected': serveModal.side === key}" @click="selectStroke('side', key)">{{ label }}</button>
+                                </div>
+                                <div class="ending-buttons shot-strokes">
+                                    <button v-for="(label, key) in strokes" :key="'stroke-' + key" class="ending-btn" :class="{'selected': serveModal.stroke === key}" @click="selectStroke('stroke', key)">{{ label }}</button>
                                 </div>
                             </div>
                         </div>
-                        <div class="point-type-section" style="margin-top:15px;">
-                            <h4>Point Type:</h4>
-                            <div class="point-type-buttons">
-                                <button class="point-type-btn" :class="{'selected': serveModal.pointType === 'short'}" @click="serveModal.pointType = 'short'">Short</button>
-                                <button class="point-type-btn" :class="{'selected': serveModal.pointType === 'medium'}" @click="serveModal.pointType = 'medium'">Medium</button>
-                                <button class="point-type-btn" :class="{'selected': serveModal.pointType === 'long'}" @click="serveModal.pointType = 'long'">Long</button>
+                        <!-- Count shots with the stepper afterwards, or tap Shot
+                             for each one while the rally is played and
+                             correct the count with the stepper -->
+                        <div class="point-type-section rally-length-section" style="margin-top:15px;">
+                            <h4>Rally Length (shots, counting the serve):</h4>
+                            <div class="rally-length-stepper">
+                                <button class="point-type-btn" @click="changeRallyLength(-1)" :disabled="!serveModal.rallyLength">−</button>
+                                <span class="rally-length-value">{{ serveModal.rallyLength === null ? '–' : serveModal.rallyLength }}</span>
+                                <button class="point-type-btn" @click="changeRallyLength(1)">+</button>
+                                <button class="point-type-btn rally-tap-btn" :class="{'selected': serveModal.rallyCounting}" @click="countRallyShot">Shot</button>
+                                <button class="point-type-btn" @click="clearRallyLength" :disabled="serveModal.rallyLength === null">Clear</button>
                             </div>
                         </div>
                         <div class="point-comment-section" style="margin-top:15px;">
                             <h4>Point Comment (Optional):</h4>
                             <textarea v-model="serveModal.comment" placeholder="Add a comment about this point..." rows="4" class="mobile-friendly-textarea"></textarea>
                         </div>
-                        <div class="point-submit-section" style="margin-top:20px; text-align:center; padding-top:15px; border-top:1px solid #e9ecef;" v-if="serveModal.finalPlayer && serveModal.strokeType">
+                        <div class="point-submit-section" style="margin-top:20px; text-align:center; padding-top:15px; border-top:1px solid #e9ecef;" v-if="serveModal.finalPlayer && serveModal.outcome">
                             <button class="submit-point-btn" @click="submitPointDetails()">Submit Point</button>
                         </div>
                     </div>
@@ -524,10 +1128,11 @@ createApp({
                                 <h4>Match Summary</h4>
                                 <div class="summary-stats">
                                     <div class="stat-item">Total Points: {{ match.pointHistory.length }}</div>
-                                    <div class="stat-item">Short Points: {{ match.pointHistory.filter(p => p.pointType === 'short').length }}</div>
-                                    <div class="stat-item">Medium Points: {{ match.pointHistory.filter(p => p.pointType === 'medium').length }}</div>
-                                    <div class="stat-item">Long Points: {{ match.pointHistory.filter(p => p.pointType === 'long').length }}</div>
-                                    <div class="stat-item">No Type: {{ match.pointHistory.filter(p => !p.pointType).length }}</div>
+                                    <div class="stat-item" v-for="band in rallyStats.bands" :key="'band' + band.key">{{ band.label }}: {{ band.played }}</div>
+                                    <template v-for="(bucket, type) in rallyStats.legacy" :key="'legacy' + type">
+                                        <div class="stat-item" v-if="bucket.played">{{ bucket.label }} Points: {{ bucket.played }}</div>
+                                    </template>
+                                    <div class="stat-item">No Rally Length: {{ rallyStats.unrecorded }}</div>
                                 </div>
                             </div>
                             
@@ -540,6 +1145,9 @@ createApp({
                                             <span class="set-winner" v-if="set.winner !== 'In Progress'">Winner: {{ set.winner }}</span>
                                             <span class="set-score" v-if="set.finalScore">{{ set.finalScore }}</span>
                                             <span class="set-status" v-else>In Progress</span>
+                                            <template v-for="pid in [1, 2]" :key="'set-net' + set.setNumber + pid">
+                                                <span class="set-net-points" v-if="netStats[pid].sets[set.setNumber]">{{ match.players[pid].name }} net {{ netStats[pid].sets[set.setNumber].won }}/{{ netStats[pid].sets[set.setNumber].approaches }}</span>
+                                            </template>
                                         </div>
                                     </div>
                                     
@@ -557,20 +1165,37 @@ createApp({
                                             
                                             <!-- Points within this game -->
                                             <div class="game-points">
-                                                <div v-for="point in game.points" :key="'point' + point.timestamp" class="point-entry-compact">
-                                                    <div class="point-compact-header">
+                                                <div v-for="point in game.points" :key="'point' + point.historyIndex" class="point-entry-compact" :class="{'violation-entry': point.violation}">
+                                                    <div class="point-compact-header" v-if="point.violation">
+                                                        <span class="violation-badge">{{ penalties[point.violation.penalty] }}</span>
+                                                        <span class="point-winner-compact">{{ violationSummary(point.violation) }}</span>
+                                                    </div>
+                                                    <div class="point-compact-header" v-else>
                                                         <span class="point-number-compact">{{ point.pointNumber }}</span>
-                                                        <span v-if="point.pointType" class="point-type-badge-small" :class="'type-' + point.pointType">{{ point.pointType[0].toUpperCase() }}</span>
+                                                        <span v-if="Number.isInteger(point.rallyLength)" class="rally-length-badge-small">{{ point.rallyLength }}</span>
+                                                        <span v-else-if="point.pointType" class="point-type-badge-small" :class="'type-' + point.pointType">{{ point.pointType[0].toUpperCase() }}</span>
                                                         <span class="point-winner-compact">{{ match.players[point.winner].name }}</span>
-                                                        <span class="point-server-compact">served by {{ match.players[point.server].name }}</span>
+                                                        <span class="point-server-compact">served by {{ pointServerName(point) }}</span>
+                                                        <template v-for="pid in [1, 2]" :key="'point-situation' + pid">
+                                                            <span v-if="situationLabel(point.situation, pid)" class="situation-badge-small">{{ situationLabel(point.situation, pid) }} ({{ match.players[pid].name }})</span>
+                                                        </template>
+                                                        <span v-if="point.decidingPoint" class="deciding-point-badge">Deciding point{{ point.decidingPoint.receiverSide ? ' (' + point.decidingPoint.receiverSide + ' side)' : '' }}</span>
                                                     </div>
+                                                    <div v-if="point.violation && point.violation.note" class="point-comment-compact">{{ point.violation.note }}</div>
                                                     <div v-if="point.serveData" class="point-serve-compact">
-                                                        <span class="serve-result">{{ point.serveData.firstServe }}{{ point.serveData.secondServe ? (', ' + point.serveData.secondServe) : '' }}</span>
+                                                        <span class="serve-result">{{ serveDescription(point.serveData) }}</span>
                                                     </div>
                                                     <div v-if="point.pointEnding" class="point-ending-compact">
-                                                        {{ match.players[point.pointEnding.finalPlayer].name }} {{ point.pointEnding.strokeType.replace('-', ' ') }}
+                                                        {{ pointEndingPlayerName(point.pointEnding) }} {{ shotLabel(point.pointEnding) }}
                                                     </div>
                                                     <div v-if="point.comment" class="point-comment-compact">{{ point.comment }}</div>
+                                                    <div v-if="point.changeover" class="point-changeover">{{ changeoverLabel(point.changeover) }}</div>
+                                                    <div v-for="pause in stoppagesAfter(point.historyIndex)" :key="'stoppage' + pause.start" class="point-stoppage" :class="{'suspension': pause.suspended}">{{ stoppageLabel(pause) }}</div>
+                                                    <div class="point-edit-controls">
+                                                        <button v-if="!point.violation" class="point-edit-btn" @click="openPointEditor(point.historyIndex, false)">Edit</button>
+                                                        <button class="point-edit-btn" @click="openPointEditor(point.historyIndex, true)">Insert before</button>
+                                                        <button class="point-edit-btn delete" @click="deletePoint(point.historyIndex)">Delete</button>
+                                                    </div>
                                                 </div>
                                             </div>
                                         </div>
@@ -581,6 +1206,183 @@ createApp({
                     </div>
                 </div>
             </div>
+            <!-- Point Edit Modal -->
+            <div v-if="pointEditModal.visible" class="modal point-edit-modal" style="display:block;">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>{{ pointEditModal.insert ? 'Insert Point' : 'Edit Point' }}</h3>
+                        <span class="close" @click="pointEditModal.visible = false">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="point-edit-field">
+                            <label>First serve:</label>
+                            <select v-model="pointEditModal.firstServe">
+                                <option value="in">In (returned)</option>
+                                <option value="ace">Ace</option>
+                                <option value="unreturned">Unreturned</option>
+                                <option value="out">Fault</option>
+                            </select>
+                            <select v-if="pointEditModal.firstServe === 'out'" v-model="pointEditModal.firstFault">
+                                <option value="">Fault type not recorded</option>
+                                <option v-for="(type, key) in faultTypes" :key="'first-' + key" :value="key">{{ type.label }}</option>
+                            </select>
+                            <select v-model="pointEditModal.firstDirection">
+                                <option value="">Direction not recorded</option>
+                                <option v-for="(label, key) in serveDirections" :key="'first-direction-' + key" :value="key">{{ label }}</option>
+                            </select>
+                        </div>
+                        <div class="point-edit-field" v-if="pointEditModal.firstServe === 'out'">
+                            <label>Second serve:</label>
+                            <select v-model="pointEditModal.secondServe">
+                                <option value="in">In (returned)</option>
+                                <option value="ace">Ace</option>
+                                <option value="unreturned">Unreturned</option>
+                                <option value="out">Double fault</option>
+                            </select>
+                            <select v-if="pointEditModal.secondServe === 'out'" v-model="pointEditModal.secondFault">
+                                <option value="">Fault type not recorded</option>
+                                <option v-for="(type, key) in faultTypes" :key="'second-' + key" :value="key">{{ type.label }}</option>
+                            </select>
+                            <select v-model="pointEditModal.secondDirection">
+                                <option value="">Direction not recorded</option>
+                                <option v-for="(label, key) in serveDirections" :key="'second-direction-' + key" :value="key">{{ label }}</option>
+                            </select>
+                        </div>
+                        <div class="point-edit-field" v-if="!match.noLets || pointEditModal.lets">
+                            <label>Lets:</label>
+                            <input type="number" v-model.number="pointEditModal.lets" min="0" max="10">
+                        </div>
+                        <template v-if="pointEditIsRally()">
+                            <div class="point-edit-field">
+                                <label>Final shot by:</label>
+                                <select v-model="pointEditModal.finalShot">
+                                    <option value="">Not recorded</option>
+                                    <option v-for="option in finalShotOptions()" :key="option.value" :value="option.value">{{ option.label }}</option>
+                                </select>
+                            </div>
+                            <div class="point-edit-field" v-if="pointEditModal.finalShot">
+                                <label>Shot:</label>
+                                <select v-model="pointEditModal.outcome">
+                                    <option v-for="(label, key) in outcomes" :key="'edit-outcome-' + key" :value="key">{{ label }}</option>
+                                </select>
+                                <select v-model="pointEditModal.side">
+                                    <option value="">Side not recorded</option>
+                                    <option v-for="(label, key) in sides" :key="'edit-side-' + key" :value="key">{{ label }}</option>
+                                </select>
+                                <select v-model="pointEditModal.stroke">
+                                    <option v-for="(label, key) in strokes" :key="'edit-stroke-' + key" :value="key">{{ label }}</option>
+                                </select>
+                            </div>
+                            <div class="point-edit-field" v-else>
+                                <label>Point won by:</label>
+                                <select v-model.number="pointEditModal.winner">
+                                    <option :value="1">{{ match.players[1].name }}</option>
+                                    <option :value="2">{{ match.players[2].name }}</option>
+                                </select>
+                            </div>
+                        </template>
+                        <template v-if="pointEditIsRally()">
+                            <div class="point-edit-field" v-for="pid in [1, 2]" :key="'edit-net' + pid">
+                                <label>{{ match.players[pid].name }} at the net:</label>
+                                <select v-model="pointEditModal.netApproach[pid]">
+                                    <option value="">No</option>
+                                    <option v-for="(label, key) in netApproaches" :key="'edit-net' + pid + key" :value="key">{{ label }}</option>
+                                </select>
+                            </div>
+                        </template>
+                        <div class="point-edit-field">
+                            <label>Rally length (shots):</label>
+                            <input type="number" v-model="pointEditModal.rallyLength" min="0" max="200" placeholder="Not recorded">
+                        </div>
+                        <div class="point-edit-field">
+                            <label>Comment:</label>
+                            <input type="text" v-model="pointEditModal.comment">
+                        </div>
+                        <p class="point-edit-note">The server, score, set results and statistics are recalculated from the corrected points.</p>
+                        <div class="point-edit-buttons">
+                            <button class="submit-point-btn" @click="savePointEdit">{{ pointEditModal.insert ? 'Insert Point' : 'Save Point' }}</button>
+                            <button class="cancel-point-edit-btn" @click="pointEditModal.visible = false">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <!-- Doubles Serve Order Modal -->
+            <div v-if="serveOrderModal.visible" class="modal" style="display:block;">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Set {{ match.currentSet + 1 }} – Serve Order</h3>
+                    </div>
+                    <div class="modal-body">
+                        <div class="serve-order-team" v-for="pid in [match.server, match.server === 1 ? 2 : 1]" :key="'order' + pid">
+                            <h4>{{ pid === match.server ? 'Who serves this game' : 'Who serves first' }} for {{ match.players[pid].name }}?</h4>
+                            <div class="player-buttons">
+                                <button v-for="(member, idx) in match.players[pid].members" :key="'order' + pid + idx" class="player-btn" :class="{'selected': serveOrderModal.choices[pid] === idx}" @click="serveOrderModal.choices[pid] = idx">{{ member.name }}</button>
+                            </div>
+                        </div>
+                        <div class="serve-order-actions">
+                            <button class="submit-point-btn" @click="confirmServeOrder" :disabled="serveOrderModal.choices[1] === null || serveOrderModal.choices[2] === null">Confirm</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <!-- Code Violation Modal -->
+            <div v-if="violationModal.visible" class="modal" style="display:block;">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Code Violation</h3>
+                        <span class="close" @click="violationModal.visible = false">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <h4>Player:</h4>
+                        <div class="player-buttons">
+                            <button v-for="pid in [1, 2]" :key="'violation' + pid" class="player-btn" :class="{'selected': violationModal.player === pid}" @click="selectViolationPlayer(pid)">{{ match.players[pid].name }}</button>
+                        </div>
+                        <p v-if="violationModal.player" class="violation-history">{{ violationCount(violationModal.player) === 0 ? 'No previous violations' : 'Previous violations: ' + violationCount(violationModal.player) }} – next on the schedule: {{ penalties[nextPenalty(violationModal.player)] }}</p>
+                        <div class="point-edit-field">
+                            <label>Offence:</label>
+                            <select v-model="violationModal.offence">
+                                <option v-for="(label, key) in offences" :key="key" :value="key">{{ label }}</option>
+                            </select>
+                        </div>
+                        <div class="point-edit-field">
+                            <label>Penalty:</label>
+                            <select v-model="violationModal.penalty">
+                                <option v-for="(label, key) in penalties" :key="key" :value="key">{{ label }}</option>
+                            </select>
+                        </div>
+                        <div class="point-comment-section">
+                            <textarea v-model="violationModal.note" placeholder="Note (optional)" rows="2" class="mobile-friendly-textarea"></textarea>
+                        </div>
+                        <div class="point-edit-buttons">
+                            <button class="submit-point-btn" @click="confirmViolation" :disabled="!violationModal.player">Record Violation</button>
+                            <button class="cancel-point-edit-btn" @click="violationModal.visible = false">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <!-- Pause Modal -->
+            <div v-if="pauseModal.visible" class="modal" style="display:block;">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>{{ pauseModal.suspend ? 'Suspend Match' : 'Pause Play' }}</h3>
+                        <span class="close" @click="pauseModal.visible = false">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p v-if="pauseModal.suspend">The match is saved as suspended and resumes when it is next opened from the match list.</p>
+                        <p v-else>The match clock stops until play is resumed.</p>
+                        <div class="point-edit-field">
+                            <label>Reason:</label>
+                            <select v-model="pauseModal.reason">
+                                <option v-for="(label, key) in pauseReasons" :key="key" :value="key">{{ label }}</option>
+                            </select>
+                        </div>
+                        <div class="point-edit-buttons">
+                            <button class="submit-point-btn" @click="confirmPause">{{ pauseModal.suspend ? 'Suspend' : 'Pause' }}</button>
+                            <button class="cancel-point-edit-btn" @click="pauseModal.visible = false">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
             <!-- Game Comment Modal -->
             <div v-if="gameCommentModal.visible" class="modal" style="display:block;">
                 <div class="modal-content">
@@ -611,49 +1413,56 @@ createApp({
                     </div>
                     <div class="modal-body">
                         <div class="end-match-reason">
-                            <h4>Reason for ending match:</h4>
-                            <select v-model="endMatchModal.reason">
+                            <h4>Result:</h4>
+                            <select v-model="endMatchModal.resultType">
                                 <option value="completed">Match completed normally</option>
-                                <option value="withdrawal">Player withdrawal</option>
-                                <option value="injury">Injury</option>
-                                <option value="weather">Weather/conditions</option>
-                                <option value="time">Time limit reached</option>
-                                <option value="other">Other reason</option>
+                                <option value="retired">Player retired</option>
+                                <option value="walkover">Walkover (match not played)</option>
+                                <option value="default">Player defaulted</option>
+                                <option value="unfinished">Unfinished (no result)</option>
+                            </select>
+                            <h4 v-if="endMatchModal.resultType !== 'completed'">Reason:</h4>
+                            <select v-if="endMatchModal.resultType !== 'completed'" v-model="endMatchModal.reason">
+                                <option value="">Not given</option>
+                                <option v-for="(label, key) in endReasons" :key="key" :value="key">{{ label }}</option>
                             </select>
                         </div>
                         <div class="end-match-sets">
                             <h4>Final Set Scores:</h4>
                             <div class="end-match-sets-grid">
                                 <div v-for="n in match.matchFormat" :key="'endset'+n" class="end-set-input" v-show="n <= Math.min(match.matchFormat, 5)">
-                                    <label>Set {{ n }}:</label>
+                                    <label>{{ n - 1 === matchTiebreakSet ? 'Match tiebreak points' : 'Set ' + n }}:</label>
                                     <div class="end-score-input-container">
                                         <div class="end-player-score-input">
                                             <label class="end-player-label">{{ match.players[1].name }}</label>
-                                            <input type="number" v-model.number="endMatchModal.setScores[n-1].p1" min="0" max="20" placeholder="0">
+                                            <input type="number" v-model.number="endMatchModal.setScores[n-1].p1" min="0" :max="n - 1 === matchTiebreakSet ? 30 : 20" placeholder="0">
                                         </div>
                                         <span class="end-score-separator">-</span>
                                         <div class="end-player-score-input">
                                             <label class="end-player-label">{{ match.players[2].name }}</label>
-                                            <input type="number" v-model.number="endMatchModal.setScores[n-1].p2" min="0" max="20" placeholder="0">
+                                            <input type="number" v-model.number="endMatchModal.setScores[n-1].p2" min="0" :max="n - 1 === matchTiebreakSet ? 30 : 20" placeholder="0">
                                         </div>
                                     </div>
                                 </div>
                             </div>
                         </div>
-                        <div class="match-winner-selection">
+                        <div class="match-winner-selection" v-if="endMatchModal.resultType !== 'unfinished'">
                             <h4>Who won the match?</h4>
                             <div class="winner-buttons">
                                 <button class="winner-btn" :class="{'selected': endMatchModal.winner === 1}" @click="selectMatchWinner(1)">{{ match.players[1].name }}</button>
                                 <button class="winner-btn" :class="{'selected': endMatchModal.winner === 2}" @click="selectMatchWinner(2)">{{ match.players[2].name }}</button>
-                                <button class="winner-btn" :class="{'selected': endMatchModal.winner === 0}" @click="selectMatchWinner(0)">No Result</button>
                             </div>
                         </div>
                         <div class="end-match-comment">
                             <h4>Additional Notes (Optional):</h4>
                             <textarea v-model="endMatchModal.notes" placeholder="Any additional notes about how/why the match ended..." rows="4" class="mobile-friendly-textarea"></textarea>
                         </div>
+                        <div v-if="endMatchValidation.errors.length || endMatchValidation.warnings.length" class="score-validation">
+                            <p v-for="message in endMatchValidation.errors" :key="'error-' + message" class="validation-error">{{ message }}</p>
+                            <p v-for="message in endMatchValidation.warnings" :key="'warning-' + message" class="validation-warning">{{ message }}</p>
+                        </div>
                         <div class="end-match-actions" style="margin-top:15px;">
-                            <button id="confirm-end-match" @click="confirmEndMatch">End Match</button>
+                            <button id="confirm-end-match" :disabled="endMatchValidation.errors.length > 0" @click="confirmEndMatch">End Match</button>
                             <button id="cancel-end-match" @click="endMatchModal.visible = false">Cancel</button>
                         </div>
                     </div>
@@ -675,16 +1484,16 @@ createApp({
                             <h4>Set Scores:</h4>
                             <div class="fast-forward-sets-grid">
                                 <div v-for="n in match.matchFormat" :key="'ffset'+n" class="fast-forward-set-input" v-show="n <= Math.min(match.matchFormat, 5)">
-                                    <label>Set {{ n }}:</label>
+                                    <label>{{ n - 1 === matchTiebreakSet ? 'Match tiebreak points' : 'Set ' + n }}:</label>
                                     <div class="fast-forward-score-container">
                                         <div class="fast-forward-player-score">
                                             <label class="fast-forward-player-label">{{ match.players[1].name }}</label>
-                                            <input type="number" v-model.number="fastForwardModal.setScores[n-1].p1" min="0" max="20" placeholder="0">
+                                            <input type="number" v-model.number="fastForwardModal.setScores[n-1].p1" min="0" :max="n - 1 === matchTiebreakSet ? 30 : 20" placeholder="0">
                                         </div>
                                         <span class="fast-forward-separator">-</span>
                                         <div class="fast-forward-player-score">
                                             <label class="fast-forward-player-label">{{ match.players[2].name }}</label>
-                                            <input type="number" v-model.number="fastForwardModal.setScores[n-1].p2" min="0" max="20" placeholder="0">
+                                            <input type="number" v-model.number="fastForwardModal.setScores[n-1].p2" min="0" :max="n - 1 === matchTiebreakSet ? 30 : 20" placeholder="0">
                                         </div>
                                     </div>
                                 </div>
@@ -692,26 +1501,28 @@ createApp({
                         </div>
                         
                         <div class="fast-forward-current-game">
-                            <h4>Current Game Points:</h4>
+                            <h4>{{ fastForwardInTiebreak ? 'Current Tiebreak Points:' : 'Current Game Points:' }}</h4>
                             <div class="fast-forward-game-inputs">
                                 <div class="fast-forward-game-input">
                                     <label class="fast-forward-game-label">{{ match.players[1].name }}:</label>
-                                    <select v-model="fastForwardModal.currentPoints.p1">
+                                    <input v-if="fastForwardInTiebreak" type="number" v-model.number="fastForwardModal.currentPoints.p1" min="0" max="30" placeholder="0">
+                                    <select v-else v-model="fastForwardModal.currentPoints.p1">
                                         <option value="0">0</option>
                                         <option value="1">15</option>
                                         <option value="2">30</option>
                                         <option value="3">40</option>
-                                        <option value="4">40+ (Ad)</option>
+                                        <option v-if="!match.noAd" value="4">40+ (Ad)</option>
                                     </select>
                                 </div>
                                 <div class="fast-forward-game-input">
                                     <label class="fast-forward-game-label">{{ match.players[2].name }}:</label>
-                                    <select v-model="fastForwardModal.currentPoints.p2">
+                                    <input v-if="fastForwardInTiebreak" type="number" v-model.number="fastForwardModal.currentPoints.p2" min="0" max="30" placeholder="0">
+                                    <select v-else v-model="fastForwardModal.currentPoints.p2">
                                         <option value="0">0</option>
                                         <option value="1">15</option>
                                         <option value="2">30</option>
                                         <option value="3">40</option>
-                                        <option value="4">40+ (Ad)</option>
+                                        <option v-if="!match.noAd" value="4">40+ (Ad)</option>
                                     </select>
                                 </div>
                             </div>
@@ -725,8 +1536,12 @@ createApp({
                             </div>
                         </div>
                         
+                        <div v-if="fastForwardValidation.errors.length || fastForwardValidation.warnings.length" class="score-validation">
+                            <p v-for="message in fastForwardValidation.errors" :key="'error-' + message" class="validation-error">{{ message }}</p>
+                            <p v-for="message in fastForwardValidation.warnings" :key="'warning-' + message" class="validation-warning">{{ message }}</p>
+                        </div>
                         <div class="fast-forward-actions">
-                            <button @click="applyFastForward" class="apply-fast-forward-btn">Update Match</button>
+                            <button @click="applyFastForward" class="apply-fast-forward-btn" :disabled="fastForwardValidation.errors.length > 0">Update Match</button>
                             <button @click="cancelFastForward" class="cancel-fast-forward-btn">Cancel</button>
                         </div>
                     </div>
@@ -734,6 +1549,19 @@ createApp({
             </div>
         </div>
     `,
+    watch: {
+        // Doubles team names follow the names entered for the partners
+        'newMatch.partners': {
+            handler() { this.syncTeamNames(this.newMatch); },
+            deep: true
+        },
+        'newMatch.doubles'() { this.syncTeamNames(this.newMatch); },
+        'joinMatch.partners': {
+            handler() { this.syncTeamNames(this.joinMatch); },
+            deep: true
+        },
+        'joinMatch.doubles'() { this.syncTeamNames(this.joinMatch); }
+    },
     computed: {
         /**
          * Returns the maximum number of sets supported (always 5). We use
@@ -752,87 +1580,521 @@ createApp({
         servingIndicator() {
             if (!this.match) return '';
             if (this.match.matchComplete) return 'Match finished';
-            return `${this.match.players[this.match.server].name} serving`;
+            if (this.isMatchTiebreak()) return `Match tiebreak – ${this.serverName()} serving`;
+            if (this.isTiebreakGame()) return `Tiebreak – ${this.serverName()} serving`;
+            return `${this.serverName()} serving`;
         },
         /**
-         * Returns the name of the player who has won the match (if the
-         * match is complete). If no match is active or the match is still
-         * in progress, returns an empty string.
+         * Result shown on the scoreboard of a finished match, naming how
+         * it was won when not simply on the score.
          */
-        winner() {
+        resultText() {
             if (!this.match || !this.match.matchComplete) return '';
-            // Determine winner by comparing sets won
-            const setsWon1 = this.match.players[1].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const setsWon2 = this.match.players[2].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            return setsWon1 > setsWon2 ? this.match.players[1].name : this.match.players[2].name;
+            if (this.winner === 'Draw') return 'Match drawn';
+            if (this.winner === 'No Result') return 'Match unfinished – no result';
+            const result = TennisScoring.matchResult(this.match);
+            const how = { retired: ' by retirement', walkover: ' by walkover', default: ' by default' }[result.type] || '';
+            return `${this.winner} wins the match${how}!`;
         },
-        
         /**
-         * Organizes point history by sets and games for the point breakdown modal.
-         * Uses the actual setNumber and gameNumber from point records.
+         * Index of the join form's set played as a match tiebreak, or -1.
          */
-        organizedPointHistory() {
-            if (!this.match || !this.match.pointHistory) return [];
-            
-            const setsMap = new Map();
-            
-            // Group points by set and game using actual point data
-            this.match.pointHistory.forEach(point => {
-                const setNum = point.setNumber;
-                const gameNum = point.gameNumber;
-                
-                if (!setsMap.has(setNum)) {
-                    setsMap.set(setNum, new Map());
+        joinMatchTiebreakSet() {
+            return TennisScoring.matchTiebreakSetIndex(this.joinMatch);
+        },
+        /**
+         * Index of the match's set played as a match tiebreak, or -1.
+         * Its score is entered by points in the fast forward and end
+         * match modals.
+         */
+        matchTiebreakSet() {
+            if (!this.match) return -1;
+            return TennisScoring.matchTiebreakSetIndex(this.match);
+        },
+        /**
+         * Whether the join form's entered score puts the match in a
+         * tiebreak, in which case tiebreak points are entered as numbers.
+         */
+        joinInTiebreak() {
+            return TennisScoring.scoresAreAtTiebreak(this.joinMatch.setScores, this.joinMatch);
+        },
+        /**
+         * Whether the fast forward modal's entered score puts the match in
+         * a tiebreak.
+         */
+        fastForwardInTiebreak() {
+            if (!this.match) return false;
+            return TennisScoring.scoresAreAtTiebreak(this.fastForwardModal.setScores, this.match);
+        },
+        /**
+         * Errors and warnings for the score entered in the join form.
+         */
+        joinValidation() {
+            return TennisScoring.validateScoreEntry({
+                setScores: this.joinMatch.setScores,
+                points: this.joinMatch.currentPoints,
+                server: this.joinMatch.currentServer
+            }, this.joinMatch);
+        },
+        /**
+         * Errors and warnings for the score entered in the fast forward
+         * modal, checked against the match it will replace.
+         */
+        fastForwardValidation() {
+            if (!this.match) return { errors: [], warnings: [] };
+            return TennisScoring.validateScoreEntry({
+                setScores: this.fastForwardModal.setScores,
+                points: this.fastForwardModal.currentPoints,
+                server: this.fastForwardModal.currentServer,
+                current: this.match
+            }, this.match);
+        },
+        /**
+         * Errors and warnings for the final score and result entered in
+         * the end match modal.
+         */
+        endMatchValidation() {
+            if (!this.match) return { errors: [], warnings: [] };
+            return TennisScoring.validateScoreEntry({
+                setScores: this.endMatchModal.setScores,
+                winner: this.endMatchWinner(),
+                resultType: this.endMatchModal.resultType
+            }, this.match);
+        },
+        /**
+         * Milliseconds of play in the match so far, or in the whole match
+         * once it has finished, leaving out pauses. Refreshes with the
+         * once-a-second clock tick.
+         */
+        matchDurationMs() {
+            if (!this.match || !this.match.startedAt) return 0;
+            return this.matchElapsedMs(this.match.matchComplete ? this.matchEndTime() : this.now);
+        },
+        /**
+         * How long each set and game took, the average time between
+         * points and the longest game, from the point timestamps. Each
+         * entry of the point log is timed from the one before it (or the
+         * start of the match), so a game includes the changeover before
+         * it. Pauses are left out.
+         */
+        matchTiming() {
+            const timing = { sets: [], averageBetweenPointsMs: 0, longestGame: null };
+            if (!this.match || !this.match.startedAt) return timing;
+            const time = iso => new Date(iso).getTime();
+            let previous = time(this.match.startedAt);
+            let lastPoint = null;
+            const gaps = [];
+            this.match.pointHistory.forEach(record => {
+                const at = time(record.timestamp);
+                const ms = Math.max(0, this.activeMs(previous, at));
+                previous = Math.max(previous, at);
+                let set = timing.sets.find(s => s.setNumber === record.setNumber);
+                if (!set) {
+                    set = { setNumber: record.setNumber, ms: 0, games: [] };
+                    timing.sets.push(set);
                 }
-                
-                const setGames = setsMap.get(setNum);
-                if (!setGames.has(gameNum)) {
-                    setGames.set(gameNum, []);
+                let game = set.games.find(g => g.gameNumber === record.gameNumber);
+                if (!game) {
+                    game = { setNumber: record.setNumber, gameNumber: record.gameNumber, ms: 0 };
+                    set.games.push(game);
                 }
-                
-                const gamePoints = setGames.get(gameNum);
-                gamePoints.push({
-                    ...point,
-                    pointNumber: gamePoints.length + 1
-                });
+                set.ms += ms;
+                game.ms += ms;
+                // Code violations are not points
+                if (record.violation) return;
+                if (lastPoint !== null) {
+                    gaps.push(Math.max(0, this.activeMs(lastPoint, at)));
+                }
+                lastPoint = at;
             });
-            
-            // Convert maps to organized array structure
-            const organized = [];
-            
-            for (const [setNumber, gamesMap] of setsMap) {
-                const games = [];
-                
-                for (const [gameNumber, points] of gamesMap) {
-                    // Determine game winner from the last point of the game
-                    const lastPoint = points[points.length - 1];
-                    const gameWinner = this.match.players[lastPoint.winner].name;
-                    
-                    // Check if this game is still in progress
-                    const isCurrentGame = (
-                        setNumber === this.match.currentSet + 1 && 
-                        gameNumber === this.calculateCurrentGameNumber()
-                    );
-                    
-                    games.push({
-                        gameNumber: gameNumber,
-                        points: points,
-                        winner: isCurrentGame ? 'In Progress' : gameWinner,
-                        setNumber: setNumber
-                    });
+            if (gaps.length) {
+                timing.averageBetweenPointsMs = gaps.reduce((sum, ms) => sum + ms, 0) / gaps.length;
+            }
+            timing.sets.forEach(set => set.games.forEach(game => {
+                if (!timing.longestGame || game.ms > timing.longestGame.ms) {
+                    timing.longestGame = game;
                 }
-                
-                // Sort games by game number
-                games.sort((a, b) => a.gameNumber - b.gameNumber);
-                
-                // Determine set winner
-                const setWinner = this.determineSetWinner(games, setNumber);
-                
-                organized.push({
-                    setNumber: setNumber,
-                    games: games,
-                    winner: setWinner,
-                    finalScore: this.getSetFinalScore(setNumber)
+            }));
+            return timing;
+        },
+        /**
+         * Milliseconds of rest left at the current changeover or set
+         * break, rounded up to whole seconds.
+         */
+        changeoverRemaining() {
+            if (!this.changeover) return 0;
+            const elapsed = Math.max(0, this.now - this.changeover.startedAt);
+            return Math.max(0, Math.ceil((this.changeover.restSeconds * 1000 - elapsed) / 1000) * 1000);
+        },
+        /**
+         * What winning the next point would bring each player, for the
+         * scoreboard badges.
+         */
+        currentSituation() {
+            if (!this.match) return null;
+            return TennisScoring.pointSituation(this.match);
+        },
+        /**
+         * Points played and won by each player in each rally length band,
+         * from the point log. Points recorded with the old short, medium
+         * or long tag instead of a rally length are counted under that
+         * tag.
+         */
+        rallyStats() {
+            const bucket = label => ({ label, played: 0, won: { 1: 0, 2: 0 } });
+            const stats = {
+                bands: RALLY_BANDS.map(band => ({ ...bucket(band.label), key: band.key })),
+                legacy: {},
+                unrecorded: 0
+            };
+            Object.keys(LEGACY_POINT_TYPES).forEach(type => {
+                stats.legacy[type] = bucket(LEGACY_POINT_TYPES[type]);
+            });
+            if (!this.match) return stats;
+            this.match.pointHistory.forEach(record => {
+                if (record.violation) return;
+                let counted = null;
+                if (Number.isInteger(record.rallyLength)) {
+                    const index = RALLY_BANDS.findIndex(band => record.rallyLength >= band.min && record.rallyLength <= band.max);
+                    counted = stats.bands[index];
+                } else if (stats.legacy[record.pointType]) {
+                    counted = stats.legacy[record.pointType];
+                }
+                if (!counted) {
+                    stats.unrecorded++;
+                    return;
+                }
+                counted.played++;
+                counted.won[record.winner]++;
+            });
+            return stats;
+        },
+        /**
+         * Final shots of each player (or team) from the point log, counted
+         * by stroke and side as winners, forced errors and unforced
+         * errors. Only the stroke and side combinations that were hit are
+         * listed, in the order of STROKES.
+         */
+        shotStats() {
+            const stats = { 1: [], 2: [] };
+            if (!this.match) return stats;
+            const rows = { 1: {}, 2: {} };
+            this.match.pointHistory.forEach(record => {
+                if (record.violation || !record.pointEnding) return;
+                const shot = this.endingShot(record.pointEnding);
+                const key = `${shot.side}-${shot.stroke}`;
+                const playerRows = rows[record.pointEnding.finalPlayer];
+                if (!playerRows[key]) {
+                    const label = shot.side ? `${SIDES[shot.side]} ${STROKES[shot.stroke].toLowerCase()}` : STROKES[shot.stroke];
+                    playerRows[key] = { key, stroke: shot.stroke, side: shot.side, label, winner: 0, forced: 0, unforced: 0 };
+                }
+                playerRows[key][shot.outcome]++;
+            });
+            const strokeOrder = Object.keys(STROKES);
+            const sideOrder = ['fh', 'bh', ''];
+            [1, 2].forEach(pid => {
+                stats[pid] = Object.values(rows[pid]).sort((a, b) =>
+                    strokeOrder.indexOf(a.stroke) - strokeOrder.indexOf(b.stroke) || sideOrder.indexOf(a.side) - sideOrder.indexOf(b.side));
+            });
+            return stats;
+        },
+        /**
+         * Net points for each player (or team) from the point log: points
+         * where they came to the net and how many of those they won, for
+         * the match and for each set.
+         */
+        netStats() {
+            const stats = {};
+            [1, 2].forEach(pid => {
+                stats[pid] = { approaches: 0, won: 0, sets: {} };
+            });
+            if (!this.match) return stats;
+            this.match.pointHistory.forEach(record => {
+                if (record.violation || !record.netApproach) return;
+                [1, 2].forEach(pid => {
+                    if (!record.netApproach[pid]) return;
+                    const s = stats[pid];
+                    if (!s.sets[record.setNumber]) {
+                        s.sets[record.setNumber] = { setNumber: record.setNumber, approaches: 0, won: 0 };
+                    }
+                    s.approaches++;
+                    s.sets[record.setNumber].approaches++;
+                    if (record.winner === pid) {
+                        s.won++;
+                        s.sets[record.setNumber].won++;
+                    }
+                });
+            });
+            return stats;
+        },
+        /**
+         * Serving by court and by where the serve was aimed, for each
+         * player (or team), from the point log. For each court: points
+         * served there, first serves in, points won and aces. For each
+         * direction: serves aimed there, how many went in, points won
+         * when the serve in play was aimed there, and aces.
+         */
+        servePlacementStats() {
+            const stats = {};
+            [1, 2].forEach(pid => {
+                stats[pid] = { courts: {}, directions: {} };
+                Object.keys(COURTS).forEach(court => {
+                    stats[pid].courts[court] = { points: 0, firstIn: 0, won: 0, aces: 0 };
+                });
+                Object.keys(SERVE_DIRECTIONS).forEach(direction => {
+                    stats[pid].directions[direction] = { serves: 0, in: 0, won: 0, aces: 0 };
+                });
+            });
+            if (!this.match) return stats;
+            this.match.pointHistory.forEach(record => {
+                const serve = record.serveData;
+                if (record.violation || !serve) return;
+                const server = stats[record.server];
+                const won = record.winner === record.server;
+                const ace = serve.firstServe === 'ace' || serve.secondServe === 'ace';
+                const court = server.courts[record.court];
+                if (court) {
+                    court.points++;
+                    if (serve.firstServe !== 'out') court.firstIn++;
+                    if (won) court.won++;
+                    if (ace) court.aces++;
+                }
+                [[serve.firstServe, serve.firstDirection], [serve.secondServe, serve.secondDirection]].forEach(([outcome, direction]) => {
+                    const bucket = server.directions[direction];
+                    if (!outcome || !bucket) return;
+                    bucket.serves++;
+                    if (outcome === 'out') return;
+                    bucket.in++;
+                    if (won) bucket.won++;
+                    if (outcome === 'ace') bucket.aces++;
+                });
+            });
+            return stats;
+        },
+        /**
+         * Receiving figures for each player (or team) from the point log:
+         * return points won in all, against first serves and against
+         * second serves (double faults included), return winners and
+         * errors, and return games won in each set. A return is a final
+         * shot recorded as one, or when the rally was two shots long; an
+         * unreturned serve
+         * counts as a return error. Tiebreaks, where the serve changes
+         * hands, are not counted as return games.
+         */
+        returnStats() {
+            const stats = {};
+            [1, 2].forEach(pid => {
+                stats[pid] = {
+                    points: 0, won: 0,
+                    firstPoints: 0, firstWon: 0,
+                    secondPoints: 0, secondWon: 0,
+                    winners: 0, errors: 0,
+                    games: []
+                };
+            });
+            if (!this.match) return stats;
+            this.match.pointHistory.forEach(record => {
+                const serve = record.serveData;
+                if (record.violation || !serve) return;
+                const receiver = record.server === 1 ? 2 : 1;
+                const s = stats[receiver];
+                const won = record.winner === receiver;
+                s.points++;
+                if (won) s.won++;
+                if (serve.firstServe !== 'out') {
+                    s.firstPoints++;
+                    if (won) s.firstWon++;
+                } else if (serve.secondServe) {
+                    s.secondPoints++;
+                    if (won) s.secondWon++;
+                }
+                if (serve.firstServe === 'unreturned' || serve.secondServe === 'unreturned') {
+                    s.errors++;
+                }
+                const ending = record.pointEnding;
+                const shot = ending ? this.endingShot(ending) : null;
+                if (shot && ending.finalPlayer === receiver && (shot.stroke === 'return' || record.rallyLength === 2)) {
+                    if (shot.outcome === 'winner') {
+                        s.winners++;
+                    } else {
+                        s.errors++;
+                    }
+                }
+            });
+            this.organizedPointHistory.forEach(set => {
+                const sets = { 1: { setNumber: set.setNumber, played: 0, won: 0 }, 2: { setNumber: set.setNumber, played: 0, won: 0 } };
+                set.games.forEach(game => {
+                    const points = game.points.filter(point => !point.violation);
+                    if (game.winner === 'In Progress' || !points.length) return;
+                    if (points.some(point => point.server !== points[0].server)) return;
+                    const receiver = points[0].server === 1 ? 2 : 1;
+                    const lastPoint = game.points.filter(point => point.winner).pop();
+                    sets[receiver].played++;
+                    if (lastPoint && lastPoint.winner === receiver) sets[receiver].won++;
+                });
+                stats[1].games.push(sets[1]);
+                stats[2].games.push(sets[2]);
+            });
+            return stats;
+        },
+        /**
+         * Break points for each player (or team) from the point log: those
+         * faced and saved on serve, and the opportunities and
+         * conversions when receiving.
+         */
+        breakPointStats() {
+            const stats = {
+                1: { faced: 0, saved: 0, opportunities: 0, converted: 0 },
+                2: { faced: 0, saved: 0, opportunities: 0, converted: 0 }
+            };
+            if (!this.match) return stats;
+            this.match.pointHistory.forEach(record => {
+                if (record.violation || !record.situation) return;
+                const receiver = record.server === 1 ? 2 : 1;
+                if (!(record.situation[receiver] || []).includes('break')) return;
+                stats[record.server].faced++;
+                stats[receiver].opportunities++;
+                if (record.winner === receiver) {
+                    stats[receiver].converted++;
+                } else {
+                    stats[record.server].saved++;
+                }
+            });
+            return stats;
+        },
+        /**
+         * Milliseconds left on the serve clock, rounded up to whole
+         * seconds.
+         */
+        serveClockRemaining() {
+            if (!this.serveClock) return 0;
+            const elapsed = Math.max(0, this.now - this.serveClock.startedAt);
+            return Math.max(0, Math.ceil((this.serveClock.limitSeconds * 1000 - elapsed) / 1000) * 1000);
+        },
+        /**
+         * Which player (or team) is at each end of the court, as seen by
+         * the scorer: player 1 starts at the left end.
+         */
+        courtEnds() {
+            if (!this.match) return { left: 1, right: 2 };
+            const swapped = TennisScoring.endChanges(this.match) % 2 === 1;
+            return swapped ? { left: 2, right: 1 } : { left: 1, right: 2 };
+        },
+        /**
+         * Milliseconds of play left in a timed match, never below zero.
+         * Refreshes with the once-a-second clock tick.
+         */
+        timeRemaining() {
+            if (!this.match || !this.match.timeLimitMinutes) return 0;
+            const limit = this.match.timeLimitMinutes * 60000;
+            return Math.max(0, limit - this.matchElapsedMs(this.now));
+        },
+        /**
+         * Returns the name of the player who has won the match (if the
+         * match is complete). If no match is active or the match is still
+         * in progress, returns an empty string.
+         */
+        winner() {
+            if (!this.match || !this.match.matchComplete) return '';
+            // Matches decided other than on sets (timed or ended early) record the result directly
+            if (this.match.winner) return this.match.winner;
+            // Determine winner by comparing sets won
+            const setsWon1 = this.match.players[1].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
+            const setsWon2 = this.match.players[2].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
+            return setsWon1 > setsWon2 ? this.match.players[1].name : this.match.players[2].name;
+        },
+        
+        /**
+         * The last few points played followed by any undone points, for
+         * the action history panel. Each entry has the point record, the
+         * number of points played once it is in the log, and whether it
+         * is currently undone.
+         */
+        recentActions() {
+            if (!this.match) return [];
+            const history = this.match.pointHistory;
+            const played = history.slice(-8).map((record, i) => ({
+                record,
+                count: history.length - Math.min(history.length, 8) + i + 1,
+                undone: false
+            }));
+            // The next point to redo is the last one on the stack
+            const undone = this.match.redoStack.slice().reverse().map((record, i) => ({
+                record,
+                count: history.length + i + 1,
+                undone: true
+            }));
+            return played.concat(undone);
+        },
+        /**
+         * Organizes point history by sets and games for the point breakdown modal.
+         * Uses the actual setNumber and gameNumber from point records.
+         */
+        organizedPointHistory() {
+            if (!this.match || !this.match.pointHistory) return [];
+            
+            const setsMap = new Map();
+            
+            // Group points by set and game using actual point data
+            this.match.pointHistory.forEach((point, historyIndex) => {
+                const setNum = point.setNumber;
+                const gameNum = point.gameNumber;
+                
+                if (!setsMap.has(setNum)) {
+                    setsMap.set(setNum, new Map());
+                }
+                
+                const setGames = setsMap.get(setNum);
+                if (!setGames.has(gameNum)) {
+                    setGames.set(gameNum, []);
+                }
+                
+                const gamePoints = setGames.get(gameNum);
+                // Code violations are listed in the game but not numbered
+                gamePoints.push({
+                    ...point,
+                    pointNumber: point.violation ? null : gamePoints.filter(p => !p.violation).length + 1,
+                    historyIndex
+                });
+            });
+            
+            // Convert maps to organized array structure
+            const organized = [];
+            
+            for (const [setNumber, gamesMap] of setsMap) {
+                const games = [];
+                
+                for (const [gameNumber, points] of gamesMap) {
+                    // Determine game winner from the last point of the game
+                    // (a warning awards nothing)
+                    const lastPoint = points.filter(point => point.winner).pop();
+                    const gameWinner = lastPoint ? this.match.players[lastPoint.winner].name : 'In Progress';
+                    
+                    // Check if this game is still in progress
+                    const isCurrentGame = (
+                        setNumber === this.match.currentSet + 1 && 
+                        gameNumber === this.calculateCurrentGameNumber()
+                    );
+                    
+                    games.push({
+                        gameNumber: gameNumber,
+                        points: points,
+                        winner: isCurrentGame ? 'In Progress' : gameWinner,
+                        setNumber: setNumber
+                    });
+                }
+                
+                // Sort games by game number
+                games.sort((a, b) => a.gameNumber - b.gameNumber);
+                
+                // Determine set winner
+                const setWinner = this.determineSetWinner(games, setNumber);
+                
+                organized.push({
+                    setNumber: setNumber,
+                    games: games,
+                    winner: setWinner,
+                    finalScore: this.getSetFinalScore(setNumber)
                 });
             }
             
@@ -868,11 +2130,19 @@ createApp({
         },
         /**
          * Convert an array of final set scores into a string like
-         * "6-4 6-3". If no sets are provided returns an empty string.
+         * "6-4 7-6(5)", followed by the result notation such as "ret."
+         * when a result is given. See TennisScoring.formatSetScores.
+         */
+        formatSetScores(sets, result) {
+            return TennisScoring.formatSetScores(sets, result);
+        },
+        /**
+         * Result of a live or stored match. See TennisScoring.matchResult.
+         *
+         * @param {object} match match state or stored match
          */
-        formatSetScores(sets) {
-            if (!sets || sets.length === 0) return '';
-            return sets.map(s => `${s.p1}-${s.p2}`).join(' ');
+        matchResult(match) {
+            return TennisScoring.matchResult(match);
         },
         /**
          * Navigate to the match setup screen. Also initialises
@@ -885,6 +2155,37 @@ createApp({
             this.matchStartType = 'new';
             this.stage = 'setup';
         },
+        /**
+         * Apply a set format preset to the new or join match form. The
+         * preset's games per set, tiebreak rules and deciding point rule
+         * are copied onto the form. The final set rule only applies to
+         * standard sets, so it is reset for other presets. Presets with a
+         * fixed number of sets (pro set) set the match length too.
+         *
+         * @param {string} form 'new' or 'join'
+         * @param {string} presetId key of FORMAT_PRESETS
+         */
+        applyFormatPreset(form, presetId) {
+            const target = form === 'join' ? this.joinMatch : this.newMatch;
+            const preset = FORMAT_PRESETS[presetId];
+            if (!preset) return;
+            target.formatPreset = presetId;
+            target.gamesPerSet = preset.gamesPerSet;
+            target.tiebreakAt = preset.tiebreakAt;
+            target.tiebreakTarget = preset.tiebreakTarget;
+            target.tiebreakSuddenDeath = preset.tiebreakSuddenDeath;
+            target.noAd = preset.noAd;
+            target.noLets = preset.noLets;
+            if (presetId !== 'standard') {
+                target.finalSetRule = 'tiebreak';
+            }
+            if (preset.sets) {
+                target.matchFormat = preset.sets;
+                target.matchTiebreak = false;
+            } else if (target.matchFormat === 1) {
+                target.matchFormat = 3;
+            }
+        },
         /**
          * Load matches from localStorage. Only the latest 50 entries are kept.
          */
@@ -916,6 +2217,8 @@ createApp({
                 }
             }
             this.match = null;
+            this.changeover = null;
+            this.serveClock = null;
             this.statsVisible = false;
             this.setReviewVisible = false;
             this.endMatchModal.visible = false;
@@ -928,43 +2231,11 @@ createApp({
          */
         createMatch() {
             const id = Date.now();
-            // Initialise players with names, set and game counters, point
-            // counters and statistics buckets.
+            // Initialise players (or teams) with names, set and game
+            // counters, point counters and statistics buckets.
             const players = {
-                1: {
-                    name: this.newMatch.player1 || '1',
-                    sets: [0, 0, 0, 0, 0],
-                    games: 0,
-                    points: 0,
-                    stats: {
-                        firstServeTotal: 0,
-                        firstServeIn: 0,
-                        firstServeWon: 0,
-                        secondServeAttempts: 0,
-                        secondServeWon: 0,
-                        aces: 0,
-                        doubleFaults: 0,
-                        winners: 0,
-                        unforcedErrors: 0
-                    }
-                },
-                2: {
-                    name: this.newMatch.player2 || '2',
-                    sets: [0, 0, 0, 0, 0],
-                    games: 0,
-                    points: 0,
-                    stats: {
-                        firstServeTotal: 0,
-                        firstServeIn: 0,
-                        firstServeWon: 0,
-                        secondServeAttempts: 0,
-                        secondServeWon: 0,
-                        aces: 0,
-                        doubleFaults: 0,
-                        winners: 0,
-                        unforcedErrors: 0
-                    }
-                }
+                1: this.createPlayer(this.newMatch, 1),
+                2: this.createPlayer(this.newMatch, 2)
             };
             return {
                 id: id,
@@ -974,16 +2245,42 @@ createApp({
                 round: this.newMatch.round.trim(),
                 startTime: this.newMatch.startTime,
                 players: players,
+                doubles: this.newMatch.doubles,
+                // Doubles: per set, the index of the member of each team who serves first
+                serveOrder: [],
                 currentSet: 0,
                 server: this.newMatch.firstServer,
                 matchFormat: this.newMatch.matchFormat,
+                ...TennisScoring.formatSettings(this.newMatch),
                 matchComplete: false,
                 setScores: [],
                 pointHistory: [],
+                // Undone points, most recently undone last, kept with all
+                // their details until a new point is recorded
+                redoStack: [],
+                // Score snapshots the match is replayed from, sorted by the
+                // number of points played when each was taken. A 'base'
+                // records a score set outside play (start of match, fast
+                // forward, time expiry, ending early); a 'checkpoint' only
+                // saves replaying the points before it.
+                snapshots: [],
                 // tracks which player should serve the next game
                 gameStartServer: this.newMatch.firstServer,
                 // game comments storage
                 gameComments: {},
+                // when play started, used for the match clock and the timed match countdown
+                startedAt: new Date().toISOString(),
+                // when the match finished, or null while it is being played
+                finishedAt: null,
+                // pauses in play, { start, end, reason } with end null while
+                // paused; left out of the match clock
+                pauses: [],
+                // deciding game played when a timed match ends level: 'tiebreak', 'next-point' or null
+                timeTiebreak: null,
+                // why the match ended, when not simply on sets (e.g. { reason: 'time', decidedBy: 'games' })
+                endReason: null,
+                // result given in the end match modal: { type, reason, notes }
+                result: null,
                 // local state preserved for in progress matches
                 isInProgress: true,
                 // Additional metadata for review
@@ -991,6 +2288,91 @@ createApp({
                 finalSets: []
             };
         },
+        /**
+         * Create the scoring and statistics record for one side of a
+         * match. In doubles the side is a team: its name joins the two
+         * players' names, and each member keeps individual statistics
+         * while the team's statistics roll both up.
+         *
+         * @param {object} form newMatch or joinMatch form
+         * @param {number} playerId 1 or 2
+         */
+        createPlayer(form, playerId) {
+            const player = {
+                name: (form['player' + playerId] || String(playerId)).trim(),
+                sets: [0, 0, 0, 0, 0],
+                games: 0,
+                points: 0,
+                stats: this.createStats()
+            };
+            if (form.doubles) {
+                player.members = form.partners[playerId].map(name => ({
+                    name: name.trim(),
+                    stats: this.createStats()
+                }));
+                player.name = this.teamName(player.members.map(m => m.name));
+            }
+            return player;
+        },
+        /**
+         * Return an empty set of statistics counters.
+         */
+        createStats() {
+            return {
+                firstServeTotal: 0,
+                firstServeIn: 0,
+                firstServeWon: 0,
+                secondServeAttempts: 0,
+                secondServeWon: 0,
+                aces: 0,
+                doubleFaults: 0,
+                // Faults by kind, on first and second serves
+                faultsLong: 0,
+                faultsWide: 0,
+                faultsNet: 0,
+                footFaults: 0,
+                lets: 0,
+                winners: 0,
+                unforcedErrors: 0,
+                forcedErrors: 0,
+                // Forced errors drawn from the opponent
+                forcedErrorsInduced: 0
+            };
+        },
+        /**
+         * Build a doubles team name such as "Smith / Jones".
+         *
+         * @param {Array<string>} names the two team members' names
+         */
+        teamName(names) {
+            return names.join(' / ');
+        },
+        /**
+         * Set a doubles form's player1/player2 to the team names built
+         * from the partners' names, so the rest of the form can keep
+         * referring to the two sides by those fields.
+         *
+         * @param {object} form newMatch or joinMatch form
+         */
+        syncTeamNames(form) {
+            if (!form.doubles) return;
+            [1, 2].forEach(pid => {
+                const names = form.partners[pid].map(name => name.trim()).filter(Boolean);
+                form['player' + pid] = names.length ? this.teamName(names) : String(pid);
+            });
+        },
+        /**
+         * Check that every player needed for the form's match type has a
+         * name: two players in singles, four in doubles.
+         *
+         * @param {object} form newMatch or joinMatch form
+         */
+        playersNamed(form) {
+            if (form.doubles) {
+                return [1, 2].every(pid => form.partners[pid].every(name => name.trim()));
+            }
+            return !!(form.player1.trim() && form.player2.trim());
+        },
         /**
          * Starts a new match based on the setup form. The new match is
          * initialised and the scoreboard is displayed. A match ID is
@@ -998,12 +2380,13 @@ createApp({
          */
         startMatch() {
             // Validate form – ensure players are named
-            if (!this.newMatch.player1.trim() || !this.newMatch.player2.trim()) {
-                alert('Please enter names for both players.');
+            if (!this.playersNamed(this.newMatch)) {
+                alert(this.newMatch.doubles ? 'Please enter names for all four players.' : 'Please enter names for both players.');
                 return;
             }
             // Create the match object
             this.match = this.createMatch();
+            this.rebase();
             // Hide any previous modals
             this.statsVisible = false;
             this.pointBreakdownVisible = false;
@@ -1012,6 +2395,8 @@ createApp({
             this.fastForwardModal.visible = false;
             // Show scoreboard
             this.stage = 'match';
+            // Doubles: ask who serves first for each team
+            this.promptServeOrder();
         },
         /**
          * Join an existing match by setting up the match state based on
@@ -1019,24 +2404,22 @@ createApp({
          */
         startJoinMatch() {
             // Validate form – ensure players are named
-            if (!this.joinMatch.player1.trim() || !this.joinMatch.player2.trim()) {
-                alert('Please enter names for both players.');
+            if (!this.playersNamed(this.joinMatch)) {
+                alert(this.joinMatch.doubles ? 'Please enter names for all four players.' : 'Please enter names for both players.');
                 return;
             }
             
+            // Only accept scores that can occur under the chosen format
+            if (!this.acceptScoreEntry(this.joinValidation)) return;
+            
             // Ensure currentPoints are properly initialized as numbers
             this.joinMatch.currentPoints.p1 = Number(this.joinMatch.currentPoints.p1);
             this.joinMatch.currentPoints.p2 = Number(this.joinMatch.currentPoints.p2);
             
-            // Create base match structure
-            this.match = this.createJoinMatch();
-            
-            // Calculate current set and games based on set scores
-            this.calculateMatchStateFromScores();
-            
-            // Explicitly set the current points after all processing is done
-            this.match.players[1].points = this.joinMatch.currentPoints.p1;
-            this.match.players[2].points = this.joinMatch.currentPoints.p2;
+            // Create base match structure, then apply the entered score
+            const match = this.createJoinMatch();
+            this.match = TennisScoring.applyScores(match, this.joinMatch.setScores, this.joinMatch.currentPoints, this.joinMatch.currentServer);
+            this.rebase();
             
             // Hide any previous modals
             this.statsVisible = false;
@@ -1047,6 +2430,8 @@ createApp({
             
             // Show scoreboard
             this.stage = 'match';
+            // Doubles: ask who serves first for each team in the current set
+            this.promptServeOrder();
         },
         /**
          * Create a match object for joining a match in progress.
@@ -1056,40 +2441,8 @@ createApp({
             const id = Date.now();
             // Initialise players with names from join form
             const players = {
-                1: {
-                    name: this.joinMatch.player1.trim(),
-                    sets: [0, 0, 0, 0, 0],
-                    games: 0,
-                    points: this.joinMatch.currentPoints.p1,
-                    stats: {
-                        firstServeTotal: 0,
-                        firstServeIn: 0,
-                        firstServeWon: 0,
-                        secondServeAttempts: 0,
-                        secondServeWon: 0,
-                        aces: 0,
-                        doubleFaults: 0,
-                        winners: 0,
-                        unforcedErrors: 0
-                    }
-                },
-                2: {
-                    name: this.joinMatch.player2.trim(),
-                    sets: [0, 0, 0, 0, 0],
-                    games: 0,
-                    points: this.joinMatch.currentPoints.p2,
-                    stats: {
-                        firstServeTotal: 0,
-                        firstServeIn: 0,
-                        firstServeWon: 0,
-                        secondServeAttempts: 0,
-                        secondServeWon: 0,
-                        aces: 0,
-                        doubleFaults: 0,
-                        winners: 0,
-                        unforcedErrors: 0
-                    }
-                }
+                1: this.createPlayer(this.joinMatch, 1),
+                2: this.createPlayer(this.joinMatch, 2)
             };
             return {
                 id: id,
@@ -1099,99 +2452,30 @@ createApp({
                 round: this.joinMatch.round.trim(),
                 startTime: this.joinMatch.startTime,
                 players: players,
-                currentSet: 0, // Will be calculated
+                doubles: this.joinMatch.doubles,
+                serveOrder: [],
+                currentSet: 0, // Set from the entered scores
                 server: this.joinMatch.currentServer,
                 matchFormat: this.joinMatch.matchFormat,
+                ...TennisScoring.formatSettings(this.joinMatch),
                 matchComplete: false,
                 setScores: [],
                 pointHistory: [],
+                redoStack: [],
+                snapshots: [],
                 gameStartServer: this.joinMatch.currentServer,
                 isInProgress: true,
                 winner: null,
                 finalSets: [],
-                gameComments: {}
+                gameComments: {},
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+                pauses: [],
+                timeTiebreak: null,
+                endReason: null,
+                result: null
             };
         },
-        /**
-         * Calculate the current match state (sets won, current set, games)
-         * based on the set scores entered in the join form.
-         */
-        calculateMatchStateFromScores() {
-            const setScores = this.joinMatch.setScores;
-            let currentSetIndex = 0;
-            
-            // Preserve current points from the join form
-            const currentPointsP1 = this.joinMatch.currentPoints.p1;
-            const currentPointsP2 = this.joinMatch.currentPoints.p2;
-            
-            // Process completed sets
-            for (let i = 0; i < Math.min(setScores.length, this.joinMatch.matchFormat); i++) {
-                const set = setScores[i];
-                
-                // Skip empty sets
-                if (set.p1 === 0 && set.p2 === 0) {
-                    break;
-                }
-                
-                // Check if this set is complete (someone won with 2+ game margin and at least 6 games)
-                if (this.isSetComplete(set.p1, set.p2)) {
-                    // Record completed set
-                    this.match.setScores.push({
-                        p1Games: set.p1,
-                        p2Games: set.p2
-                    });
-                    
-                    // Award set to winner
-                    if (set.p1 > set.p2) {
-                        this.match.players[1].sets[i] = 1;
-                    } else {
-                        this.match.players[2].sets[i] = 1;
-                    }
-                    
-                    currentSetIndex++;
-                } else {
-                    // This is the current set in progress
-                    this.match.players[1].games = set.p1;
-                    this.match.players[2].games = set.p2;
-                    break;
-                }
-            }
-            
-            this.match.currentSet = currentSetIndex;
-            
-            // Check if match is complete
-            const setsWon1 = this.match.players[1].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const setsWon2 = this.match.players[2].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const needed = Math.ceil(this.match.matchFormat / 2);
-            
-            if (setsWon1 >= needed || setsWon2 >= needed) {
-                this.match.matchComplete = true;
-                this.match.winner = setsWon1 > setsWon2 ? this.match.players[1].name : this.match.players[2].name;
-            }
-            
-            // Restore current points from join form (these might have been overridden during processing)
-            this.match.players[1].points = currentPointsP1;
-            this.match.players[2].points = currentPointsP2;
-        },
-        /**
-         * Check if a set is complete based on games won.
-         * A set is complete if one player has at least 6 games and a 2+ game lead,
-         * or if the score indicates a completed set (like 7-5, 6-4, etc.)
-         */
-        isSetComplete(p1Games, p2Games) {
-            if (p1Games === 0 && p2Games === 0) return false;
-            
-            // Standard set win conditions
-            if (p1Games >= 6 && (p1Games - p2Games) >= 2) return true;
-            if (p2Games >= 6 && (p2Games - p1Games) >= 2) return true;
-            
-            // Could be a set in progress if close scores
-            if (Math.abs(p1Games - p2Games) < 2 && Math.max(p1Games, p2Games) >= 6) {
-                return false; // Likely still in progress
-            }
-            
-            return false;
-        },
         /**
          * Persist the current match progress and return to the home screen.
          * In‑progress matches are saved so they can be resumed later. If
@@ -1206,6 +2490,8 @@ createApp({
             this.saveCurrentMatch();
             // Clear the active match and return to review
             this.match = null;
+            this.changeover = null;
+            this.serveClock = null;
             this.statsVisible = false;
             this.pointBreakdownVisible = false;
             this.endMatchModal.visible = false;
@@ -1232,22 +2518,43 @@ createApp({
                 startTime: this.match.startTime,
                 player1: this.match.players[1].name,
                 player2: this.match.players[2].name,
+                doubles: !!this.match.doubles,
+                // Doubles: member names per team, kept so completed matches
+                // can still show who played
+                members: this.match.doubles ? {
+                    1: this.match.players[1].members.map(m => m.name),
+                    2: this.match.players[2].members.map(m => m.name)
+                } : null,
+                serveOrder: JSON.parse(JSON.stringify(this.match.serveOrder || [])),
                 format: this.match.matchFormat,
+                ...TennisScoring.formatSettings(this.match),
                 isInProgress: !this.match.matchComplete,
+                startedAt: this.match.startedAt,
+                finishedAt: this.match.finishedAt || null,
+                pauses: JSON.parse(JSON.stringify(this.match.pauses || [])),
+                // Time played, leaving out pauses, shown in the match history
+                durationMs: this.matchDurationMs,
+                endReason: this.match.endReason,
+                // How the match ended, with the reason and notes given
+                result: TennisScoring.matchResult(this.match),
+                // Code violations, kept for completed matches too
+                violations: this.match.pointHistory.filter(record => record.violation).map(record => ({
+                    ...record.violation,
+                    setNumber: record.setNumber,
+                    gameNumber: record.gameNumber,
+                    timestamp: record.timestamp
+                })),
                 // Save final sets or current set scores as appropriate
                 finalSets: this.match.matchComplete ? this.match.setScores.slice() : this.getCurrentSetScores(),
                 winner: this.match.matchComplete ? this.winner : null,
-                // When resuming we need enough state to restore game progress
-                restoreState: this.match.matchComplete ? null : {
-                    currentSet: this.match.currentSet,
-                    server: this.match.server,
-                    gameStartServer: this.match.gameStartServer,
-                    players: JSON.parse(JSON.stringify(this.match.players)),
-                    setScores: JSON.parse(JSON.stringify(this.match.setScores)),
-                    pointHistory: JSON.parse(JSON.stringify(this.match.pointHistory)),
-                    gameComments: JSON.parse(JSON.stringify(this.match.gameComments))
-                }
+                // When resuming we need enough state to restore game progress.
+                // The score is rebuilt from the snapshots and point log, so
+                // only those are stored, the log under keys of its own
+                restoreState: this.match.matchComplete ? null : this.savePointLog()
             };
+            if (this.match.matchComplete) {
+                this.removePointLog(this.match.id);
+            }
             // Remove any existing match with the same id
             const idx = this.matches.findIndex(m => m.id === copy.id);
             if (idx >= 0) {
@@ -1257,28 +2564,113 @@ createApp({
             }
             // Limit to last 50 matches
             if (this.matches.length > 50) {
-                this.matches.splice(50);
+                this.matches.splice(50).forEach(match => this.removePointLog(match.id));
             }
             this.saveMatches();
         },
         /**
-         * Compute an array of current set scores to save with an in‑progress
-         * match. This includes completed sets stored in match.setScores and
-         * the currently active set if games have been played.
+         * localStorage key of one chunk of a match's point log.
+         *
+         * @param {number|string} matchId the match's id
+         * @param {number} chunk 0-based chunk number
          */
-        getCurrentSetScores() {
-            const result = [];
-            // Add completed sets
-            for (let i = 0; i < this.match.setScores.length; i++) {
-                result.push({
-                    p1: this.match.setScores[i].p1Games,
-                    p2: this.match.setScores[i].p2Games
-                });
+        pointLogKey(matchId, chunk) {
+            return `tennis-scorekeeper-log-${matchId}-${chunk}`;
+        },
+        /**
+         * Write the current match's point log to localStorage and return
+         * the rest of what is needed to resume it. Only the chunks from the
+         * first entry added or changed since the last save are written,
+         * so recording a point rewrites one chunk rather than the whole
+         * log. Of the snapshots only the bases (scores set outside play)
+         * and the latest checkpoint are kept; replays add the others back.
+         */
+        savePointLog() {
+            const id = this.match.id;
+            const history = this.match.pointHistory;
+            const saved = this.savedLog.id === id ? this.savedLog : { length: 0, changedFrom: 0 };
+            const from = Math.min(saved.length, history.length, saved.changedFrom === null ? Infinity : saved.changedFrom);
+            const chunks = Math.ceil(history.length / LOG_CHUNK_SIZE);
+            for (let chunk = Math.floor(from / LOG_CHUNK_SIZE); chunk < chunks; chunk++) {
+                const entries = history.slice(chunk * LOG_CHUNK_SIZE, (chunk + 1) * LOG_CHUNK_SIZE);
+                localStorage.setItem(this.pointLogKey(id, chunk), JSON.stringify(entries));
             }
-            // Add current set if games exist
-            if (this.match.players[1].games > 0 || this.match.players[2].games > 0) {
-                result.push({
-                    p1: this.match.players[1].games,
+            // Chunks left over from undone points
+            for (let chunk = chunks; chunk < Math.ceil(saved.length / LOG_CHUNK_SIZE); chunk++) {
+                localStorage.removeItem(this.pointLogKey(id, chunk));
+            }
+            this.savedLog = { id, length: history.length, changedFrom: null };
+            const checkpoint = this.match.snapshots.filter(snap => snap.kind === 'checkpoint').pop();
+            return {
+                logLength: history.length,
+                snapshots: JSON.parse(JSON.stringify(this.match.snapshots.filter(snap => snap.kind === 'base' || snap === checkpoint))),
+                redoStack: JSON.parse(JSON.stringify(this.match.redoStack)),
+                gameComments: JSON.parse(JSON.stringify(this.match.gameComments))
+            };
+        },
+        /**
+         * Read a match's point log back from localStorage.
+         *
+         * @param {number|string} matchId the match's id
+         * @param {number} length number of entries in the log
+         */
+        loadPointLog(matchId, length) {
+            const history = [];
+            for (let chunk = 0; chunk * LOG_CHUNK_SIZE < length; chunk++) {
+                history.push(...JSON.parse(localStorage.getItem(this.pointLogKey(matchId, chunk)) || '[]'));
+            }
+            return history.slice(0, length);
+        },
+        /**
+         * Note that entries of the point log from a position on may have
+         * changed, so the next save rewrites the stored log from there
+         * rather than only what was added at the end.
+         *
+         * @param {number} index first position in the log that changed
+         */
+        markLogChanged(index) {
+            const changedFrom = this.savedLog.changedFrom;
+            this.savedLog.changedFrom = changedFrom === null ? index : Math.min(changedFrom, index);
+        },
+        /**
+         * Remove a match's point log from localStorage once it is no
+         * longer needed: the match is complete or has left the history.
+         *
+         * @param {number|string} matchId the match's id
+         */
+        removePointLog(matchId) {
+            for (let chunk = 0; localStorage.getItem(this.pointLogKey(matchId, chunk)) !== null; chunk++) {
+                localStorage.removeItem(this.pointLogKey(matchId, chunk));
+            }
+            if (this.savedLog.id === matchId) {
+                this.savedLog = { id: null, length: 0, changedFrom: null };
+            }
+        },
+        /**
+         * Compute an array of current set scores to save with an in‑progress
+         * match. This includes completed sets stored in match.setScores and
+         * the currently active set if games have been played.
+         */
+        getCurrentSetScores() {
+            const result = [];
+            // Add completed sets
+            for (let i = 0; i < this.match.setScores.length; i++) {
+                const set = {
+                    p1: this.match.setScores[i].p1Games,
+                    p2: this.match.setScores[i].p2Games
+                };
+                if (this.match.setScores[i].tiebreak) {
+                    set.tiebreak = { ...this.match.setScores[i].tiebreak };
+                }
+                if (this.match.setScores[i].matchTiebreak) {
+                    set.matchTiebreak = true;
+                }
+                result.push(set);
+            }
+            // Add current set if games exist
+            if (this.match.players[1].games > 0 || this.match.players[2].games > 0) {
+                result.push({
+                    p1: this.match.players[1].games,
                     p2: this.match.players[2].games
                 });
             }
@@ -1311,53 +2703,17 @@ createApp({
          */
         displaySetScore(playerId, setIndex) {
             if (!this.match) return '';
-            // Completed set
-            if (setIndex < this.match.currentSet) {
-                const score = this.match.setScores[setIndex];
-                if (score) {
-                    return playerId === 1 ? score.p1Games : score.p2Games;
-                }
-                return '';
-            }
-            // Current set
-            if (setIndex === this.match.currentSet) {
-                return this.match.players[playerId].games;
-            }
-            // Future set
-            return '';
+            return TennisScoring.displaySetScore(this.match, playerId, setIndex);
         },
         /**
-         * Convert a player's raw point count into a tennis scoring string.
-         * Handles deuce and advantage. For values beyond 4 returns '40'
-         * which is appropriate when displaying trailing scores during an
-         * advantage game. In this simplified version no tiebreak is
-         * implemented.
+         * Convert a player's raw point count into a tennis scoring string
+         * (0, 15, 30, 40, Deuce, Ad, or tiebreak points).
          *
          * @param {number} playerId 1 or 2
          * @returns {string}
          */
         pointDisplay(playerId) {
-            const p1 = this.match.players[1].points;
-            const p2 = this.match.players[2].points;
-            const points = this.match.players[playerId].points;
-            // Deuce/Advantage handling
-            if (p1 >= 3 && p2 >= 3) {
-                if (p1 === p2) {
-                    return 'Deuce';
-                }
-                if ((playerId === 1 && p1 > p2) || (playerId === 2 && p2 > p1)) {
-                    return 'Ad';
-                }
-                return '40';
-            }
-            // Standard mapping
-            switch (points) {
-                case 0: return '0';
-                case 1: return '15';
-                case 2: return '30';
-                case 3: return '40';
-                default: return '40';
-            }
+            return TennisScoring.pointDisplay(this.match, playerId);
         },
         /**
          * Show the serve modal when a point is played. Resets the modal
@@ -1366,14 +2722,29 @@ createApp({
          */
         openServeModal() {
             if (!this.match || this.match.matchComplete) return;
+            // Doubles: the serve order for the set must be known first
+            if (this.match.doubles && this.servingMember() === null) {
+                this.promptServeOrder();
+                return;
+            }
             this.serveModal.visible = true;
             this.serveModal.firstServe = '';
             this.serveModal.secondServe = '';
             this.serveModal.finalPlayer = null;
-            this.serveModal.strokeType = '';
-            this.serveModal.pointType = '';
+            this.serveModal.finalMember = null;
+            this.serveModal.stroke = 'groundstroke';
+            this.serveModal.side = '';
+            this.serveModal.outcome = '';
+            this.serveModal.rallyLength = null;
+            this.serveModal.rallyCounting = false;
+            this.serveModal.netApproach = { 1: '', 2: '' };
             this.serveModal.comment = '';
-            this.serveModal.pointType = '';
+            this.serveModal.receiverSide = '';
+            this.serveModal.firstFault = '';
+            this.serveModal.secondFault = '';
+            this.serveModal.firstDirection = '';
+            this.serveModal.secondDirection = '';
+            this.serveModal.lets = 0;
         },
         /**
          * Close the serve modal without recording a point.
@@ -1402,12 +2773,14 @@ createApp({
          * on to the second serve (out) or proceed to final shot selection.
          *
          * @param {string} outcome one of 'ace', 'unreturned', 'in', 'out'
+         * @param {string} [fault] for a fault, its kind: a key of FAULT_TYPES
          */
-        selectFirstServe(outcome) {
+        selectFirstServe(outcome, fault) {
             this.serveModal.firstServe = outcome;
+            this.serveModal.firstFault = outcome === 'out' ? (fault || '') : '';
             if (outcome === 'ace' || outcome === 'unreturned') {
-                // Server wins outright - automatically set as short point
-                this.finalisePoint(this.match.server, { firstServe: outcome, secondServe: null }, null, 'short', this.serveModal.comment);
+                // Server wins outright with the only shot of the point
+                this.finalisePoint(this.match.server, this.serveDataFrom(this.serveModal), null, 1, this.serveModal.comment);
                 this.closeServeModal();
             } else if (outcome === 'out') {
                 // Show second serve selection
@@ -1423,17 +2796,19 @@ createApp({
          * (double fault) or proceed to final shot selection.
          *
          * @param {string} outcome one of 'ace', 'unreturned', 'in', 'double-fault'
+         * @param {string} [fault] for a double fault, its kind: a key of FAULT_TYPES
          */
-        selectSecondServe(outcome) {
+        selectSecondServe(outcome, fault) {
             this.serveModal.secondServe = outcome;
+            this.serveModal.secondFault = outcome === 'double-fault' ? (fault || '') : '';
             if (outcome === 'double-fault') {
-                // Point to receiver - automatically set as short point
+                // Point to receiver; no serve went in, so there was no rally
                 const receiver = this.match.server === 1 ? 2 : 1;
-                this.finalisePoint(receiver, { firstServe: 'out', secondServe: 'out' }, null, 'short', this.serveModal.comment);
+                this.finalisePoint(receiver, this.serveDataFrom(this.serveModal), null, 0, this.serveModal.comment);
                 this.closeServeModal();
             } else if (outcome === 'ace' || outcome === 'unreturned') {
-                // Server wins outright - automatically set as short point
-                this.finalisePoint(this.match.server, { firstServe: 'out', secondServe: outcome }, null, 'short', this.serveModal.comment);
+                // Server wins outright with the only shot of the point
+                this.finalisePoint(this.match.server, this.serveDataFrom(this.serveModal), null, 1, this.serveModal.comment);
                 this.closeServeModal();
             } else if (outcome === 'in') {
                 // Proceed to point ending selection
@@ -1441,290 +2816,1044 @@ createApp({
             }
         },
         /**
-         * Record which player hit the final shot during a rally. This
-         * information, combined with the chosen stroke type, determines
-         * whether the shot was a winner or an unforced error.
+         * Record a let on the serve being played. The serve is replayed,
+         * so the modal stays on the same serve.
+         */
+        selectLet() {
+            this.serveModal.lets++;
+        },
+        /**
+         * Build a point's serve data from the serve modal or the point
+         * editor. A fault's kind, where each serve was aimed and any lets
+         * are only kept when recorded.
+         *
+         * @param {object} form serveModal or pointEditModal
+         * @returns {{firstServe: string, secondServe: (string|null), firstFault?: string, secondFault?: string, firstDirection?: string, secondDirection?: string, lets?: number}}
+         */
+        serveDataFrom(form) {
+            const secondServe = form.secondServe === 'double-fault' ? 'out' : form.secondServe;
+            const serveData = {
+                firstServe: form.firstServe,
+                secondServe: form.firstServe === 'out' ? secondServe : null
+            };
+            if (serveData.firstServe === 'out' && form.firstFault) {
+                serveData.firstFault = form.firstFault;
+            }
+            if (serveData.secondServe === 'out' && form.secondFault) {
+                serveData.secondFault = form.secondFault;
+            }
+            if (form.firstDirection) {
+                serveData.firstDirection = form.firstDirection;
+            }
+            if (serveData.secondServe && form.secondDirection) {
+                serveData.secondDirection = form.secondDirection;
+            }
+            if (form.lets > 0) {
+                serveData.lets = form.lets;
+            }
+            return serveData;
+        },
+        /**
+         * Record which player hit the final shot during a rally. This
+         * information, combined with the chosen stroke type, determines
+         * whether the shot was a winner or an unforced error.
+         *
+         * @param {number} playerId 1 or 2
+         * @param {number} [memberIndex] doubles: which team member (0 or 1)
+         */
+        selectFinalPlayer(playerId, memberIndex) {
+            this.serveModal.finalPlayer = playerId;
+            this.serveModal.finalMember = memberIndex === undefined ? null : memberIndex;
+        },
+        /**
+         * Handle selection of part of the final shot: its outcome, side or
+         * stroke. Just sets it without auto-submitting, allowing the user
+         * to also count the rally and add a comment.
+         *
+         * @param {string} field 'outcome', 'side' or 'stroke'
+         * @param {string} value a key of OUTCOMES, SIDES or STROKES
+         */
+        selectStroke(field, value) {
+            this.serveModal[field] = value;
+        },
+        /**
+         * Submit the point with all selected details (final shot, rally length, comment).
+         */
+        submitPointDetails() {
+            // Validate that we have all required selections
+            if (!this.serveModal.finalPlayer || !this.serveModal.outcome) {
+                alert('Please select which player hit the final shot and how the point ended.');
+                return;
+            }
+            
+            // Determine point winner based on the shot's outcome
+            const winner = this.strokeWinner(this.serveModal.finalPlayer, this.serveModal.outcome);
+            
+            const serveData = this.serveDataFrom(this.serveModal);
+            const pointEnding = this.pointEndingFrom(this.serveModal, this.serveModal.finalPlayer);
+            if (this.match.doubles) {
+                pointEnding.finalMember = this.serveModal.finalMember;
+            }
+            
+            this.finalisePoint(winner, serveData, pointEnding, this.serveModal.rallyLength, this.serveModal.comment);
+            this.closeServeModal();
+        },
+        /**
+         * Step the rally length in the serve modal up or down by one. The
+         * first step up from no count starts at one shot, the serve.
+         *
+         * @param {number} delta 1 or -1
+         */
+        changeRallyLength(delta) {
+            const current = this.serveModal.rallyLength;
+            if (current === null) {
+                if (delta > 0) this.serveModal.rallyLength = 1;
+                return;
+            }
+            this.serveModal.rallyLength = Math.max(0, current + delta);
+        },
+        /**
+         * Count one shot of the rally as it is played. The first tap
+         * starts a new count from zero, so it replaces any number set
+         * with the stepper; the stepper then corrects a missed tap.
+         */
+        countRallyShot() {
+            if (!this.serveModal.rallyCounting) {
+                this.serveModal.rallyCounting = true;
+                this.serveModal.rallyLength = 0;
+            }
+            this.serveModal.rallyLength++;
+        },
+        /**
+         * Forget the rally length in the serve modal, ending a count.
+         */
+        clearRallyLength() {
+            this.serveModal.rallyLength = null;
+            this.serveModal.rallyCounting = false;
+        },
+        /**
+         * Rally length entered in the point editor as a number of shots,
+         * or null when left blank or not a whole number.
+         *
+         * @param {string|number} value the editor's field value
+         */
+        rallyLengthFrom(value) {
+            if (value === '' || value === null) return null;
+            const shots = Number(value);
+            return Number.isInteger(shots) && shots >= 0 ? shots : null;
+        },
+        /**
+         * Mark in the serve modal how a player came to the net, or clear
+         * it when chosen again.
+         *
+         * @param {number} playerId 1 or 2
+         * @param {string} approach a key of NET_APPROACHES
+         */
+        toggleNetApproach(playerId, approach) {
+            const current = this.serveModal.netApproach[playerId];
+            this.serveModal.netApproach[playerId] = current === approach ? '' : approach;
+        },
+        /**
+         * A point's net approaches from the serve modal or the point
+         * editor, e.g. { 1: 'serve-volley' }, or null when neither player
+         * came in.
+         *
+         * @param {object} form serveModal or pointEditModal
+         */
+        netApproachFrom(form) {
+            const netApproach = {};
+            [1, 2].forEach(pid => {
+                if (NET_APPROACHES[form.netApproach[pid]]) {
+                    netApproach[pid] = form.netApproach[pid];
+                }
+            });
+            return Object.keys(netApproach).length ? netApproach : null;
+        },
+        /**
+         * Work out who won a rally from its final shot: a winner wins the
+         * point for the player who hit it, an error (unforced or forced)
+         * loses it.
+         *
+         * @param {number} finalPlayer player who hit the final shot (1 or 2)
+         * @param {string} outcome a key of OUTCOMES
+         */
+        strokeWinner(finalPlayer, outcome) {
+            if (outcome === 'winner') return finalPlayer;
+            return finalPlayer === 1 ? 2 : 1;
+        },
+        /**
+         * Build a point's final shot from the serve modal or the point
+         * editor. The side is only kept when recorded.
+         *
+         * @param {object} form serveModal or pointEditModal
+         * @param {number} finalPlayer player who hit the final shot (1 or 2)
+         * @returns {{finalPlayer: number, stroke: string, side?: string, outcome: string}}
+         */
+        pointEndingFrom(form, finalPlayer) {
+            const pointEnding = { finalPlayer, stroke: form.stroke, outcome: form.outcome };
+            if (form.side) {
+                pointEnding.side = form.side;
+            }
+            return pointEnding;
+        },
+        /**
+         * The stroke, side and outcome of a point's final shot. Points
+         * recorded with a single strokeType such as 'fh-winner' were all
+         * groundstrokes.
+         *
+         * @param {object} ending the point's pointEnding
+         * @returns {{stroke: string, side: string, outcome: string}}
+         */
+        endingShot(ending) {
+            if (ending.outcome) {
+                return { stroke: ending.stroke || 'groundstroke', side: ending.side || '', outcome: ending.outcome };
+            }
+            const [side, outcome] = (ending.strokeType || '').split('-');
+            return { stroke: 'groundstroke', side: SIDES[side] ? side : '', outcome: OUTCOMES[outcome] ? outcome : 'winner' };
+        },
+        /**
+         * Describe a point's final shot, e.g. "forehand winner" or
+         * "backhand volley forced error".
+         *
+         * @param {object} ending the point's pointEnding
+         */
+        shotLabel(ending) {
+            const shot = this.endingShot(ending);
+            const words = [];
+            if (shot.side) words.push(SIDES[shot.side]);
+            if (shot.stroke !== 'groundstroke') words.push(STROKES[shot.stroke]);
+            words.push(OUTCOMES[shot.outcome]);
+            return words.join(' ').toLowerCase();
+        },
+        /**
+         * Quick method to finalize a point with just the winner, no detailed tracking.
+         *
+         * @param {number} winner the player who won the point (1 or 2)
+         */
+        quickFinalizePoint(winner) {
+            // Use minimal serve data and point ending info
+            const serveData = {
+                firstServe: 'in',
+                secondServe: null
+            };
+            const pointEnding = null; // No detailed ending info
+            this.finalisePoint(winner, serveData, pointEnding, null, '');
+            this.closeServeModal();
+        },
+        /**
+         * Finalise a point by recording it in the point log, updating
+         * statistics and applying it to the score with
+         * TennisScoring.applyPoint. Every CHECKPOINT_INTERVAL points a
+         * checkpoint snapshot of the score is kept for replays.
+         *
+         * @param {number} winner the player who won the point (1 or 2)
+         * @param {object} serveData details of first and second serve
+         * @param {object|null} pointEnding details of the final shot
+         * @param {number|null} rallyLength shots in the rally counting the
+         *   serve, or null when not counted
+         * @param {string} comment optional comment provided by the user
+         */
+        finalisePoint(winner, serveData, pointEnding, rallyLength, comment) {
+            if (!this.match || this.match.matchComplete) return;
+            // Build the point record
+            const pointRecord = {
+                winner,
+                server: this.match.server,
+                serverMember: this.match.doubles ? this.servingMember() : null,
+                serveData: serveData,
+                pointEnding: pointEnding,
+                rallyLength: Number.isInteger(rallyLength) ? rallyLength : null,
+                comment: comment || '',
+                timestamp: new Date().toISOString(),
+                gameNumber: this.calculateCurrentGameNumber(),
+                setNumber: this.match.currentSet + 1
+            };
+            // Note what the point could bring: break, game, set or match point
+            const situation = TennisScoring.pointSituation(this.match);
+            if (situation) {
+                pointRecord.situation = situation;
+            }
+            pointRecord.court = TennisScoring.serveCourt(this.match, this.serveModal.receiverSide);
+            // Players who came to the net during the rally
+            const netApproach = this.netApproachFrom(this.serveModal);
+            if (netApproach) {
+                pointRecord.netApproach = netApproach;
+            }
+            // Log no-ad deciding points along with the receiver's side choice
+            if (this.isDecidingPoint()) {
+                pointRecord.decidingPoint = {
+                    receiverSide: this.serveModal.receiverSide || null
+                };
+            }
+            // Push record to history. A new point replaces any undone points.
+            this.clearRedo();
+            this.match.pointHistory.push(pointRecord);
+            // Update stats based on serve
+            this.updateServeStats(pointRecord);
+            // Update stats based on final shot
+            this.updatePointStats(pointRecord);
+            // Apply the point to the score
+            const gameWon = this.applyToScore(pointRecord);
+            if (gameWon) {
+                // Show game comment modal after a brief delay
+                setTimeout(() => {
+                    this.showGameCommentModal();
+                }, 300);
+            }
+            
+            // A timed match whose time has run out ends once the game is finished
+            this.checkTimeExpiry();
+            
+            // Save the match state after each point to ensure persistence
+            this.saveCurrentMatch();
+        },
+        /**
+         * Apply a new entry of the point log, a point or a code
+         * violation, to the score: note any changeover it brings, keep a
+         * checkpoint when due and, at the start of a set, ask doubles
+         * teams for their serve order.
+         *
+         * @param {object} record the entry just added to the point log
+         * @returns {boolean} whether the entry finished a game
+         */
+        applyToScore(record) {
+            const next = TennisScoring.applyLogEntry(this.match, record);
+            this.stampChangeover(record, this.match, next);
+            const gameWon = next.players[1].points === 0 && next.players[2].points === 0;
+            const setWon = next.currentSet !== this.match.currentSet;
+            Object.assign(this.match, next);
+            if (next.matchComplete) {
+                this.match.finishedAt = record.timestamp;
+            }
+            TennisScoring.addCheckpoint(this.match.snapshots, this.match.pointHistory.length, this.match, CHECKPOINT_INTERVAL);
+            // A violation leaves a changeover running unless its penalty
+            // finished a game and brought one of its own
+            if (!record.violation || record.changeover) {
+                this.changeover = record.changeover ? { ...record.changeover, startedAt: Date.now() } : null;
+            }
+            // The serve clock restarts after every point
+            if (!record.violation) {
+                const limitSeconds = TennisScoring.serveClockLimit(next, record.changeover);
+                this.serveClock = limitSeconds ? { startedAt: Date.now(), limitSeconds } : null;
+            }
+            if (setWon) {
+                // Doubles teams may change their serve order each set
+                this.promptServeOrder();
+            }
+            return gameWon;
+        },
+        /**
+         * Show the code violation modal.
+         */
+        showViolationModal() {
+            if (!this.match || this.match.matchComplete) return;
+            Object.assign(this.violationModal, { visible: true, player: null, offence: 'time', penalty: 'warning', note: '' });
+        },
+        /**
+         * Choose the player (or team) given a code violation, and propose
+         * the next penalty on the schedule for them.
+         *
+         * @param {number} playerId 1 or 2
+         */
+        selectViolationPlayer(playerId) {
+            this.violationModal.player = playerId;
+            this.violationModal.penalty = this.nextPenalty(playerId);
+        },
+        /**
+         * Number of code violations a player (or team) has been given.
+         *
+         * @param {number} playerId 1 or 2
+         */
+        violationCount(playerId) {
+            return this.match.pointHistory.filter(record => record.violation && record.violation.player === playerId).length;
+        },
+        /**
+         * Penalty due for a player's next code violation.
+         *
+         * @param {number} playerId 1 or 2
+         */
+        nextPenalty(playerId) {
+            return TennisScoring.nextPenalty(this.match.pointHistory, playerId);
+        },
+        /**
+         * Record the code violation entered in the modal in the point log
+         * and apply its penalty. A default ends the match, so it is
+         * confirmed first.
+         */
+        confirmViolation() {
+            const modal = this.violationModal;
+            if (!this.match || this.match.matchComplete || !modal.player) return;
+            const opponent = modal.player === 1 ? 2 : 1;
+            if (modal.penalty === 'default' && !confirm(`Default ${this.match.players[modal.player].name}? This ends the match with ${this.match.players[opponent].name} winning.`)) {
+                return;
+            }
+            const violation = {
+                player: modal.player,
+                offence: modal.offence,
+                penalty: modal.penalty
+            };
+            if (modal.note.trim()) {
+                violation.note = modal.note.trim();
+            }
+            const record = {
+                violation,
+                // The player awarded the point, game or match
+                winner: modal.penalty === 'warning' ? null : opponent,
+                server: this.match.server,
+                serverMember: this.match.doubles ? this.servingMember() : null,
+                timestamp: new Date().toISOString(),
+                gameNumber: this.calculateCurrentGameNumber(),
+                setNumber: this.match.currentSet + 1
+            };
+            this.clearRedo();
+            this.match.pointHistory.push(record);
+            this.applyToScore(record);
+            this.checkTimeExpiry();
+            this.saveCurrentMatch();
+            modal.visible = false;
+        },
+        /**
+         * Give a player (or team) a time violation when the serve clock
+         * has run out, at the next penalty on their schedule. The server
+         * is usually at fault, but the receiver can be penalised too for
+         * not being ready.
+         *
+         * @param {number} player 1 or 2
+         */
+        recordTimeViolation(player) {
+            if (!this.match || this.match.matchComplete) return;
+            Object.assign(this.violationModal, { player, offence: 'time', penalty: this.nextPenalty(player), note: '' });
+            this.confirmViolation();
+            this.serveClock = null;
+        },
+        /**
+         * Describe a code violation, e.g. "Smith – Coaching: point penalty".
+         *
+         * @param {object} violation the violation of a point log entry
+         */
+        violationSummary(violation) {
+            const penalty = PENALTIES[violation.penalty];
+            return `${this.match.players[violation.player].name} – ${OFFENCES[violation.offence]}: ${penalty.toLowerCase()}`;
+        },
+        /**
+         * Update players' serve statistics based on the recorded point.
+         * Aces, double faults and serve winning percentages are derived
+         * from serveData and the winner of the point.
+         *
+         * @param {object} pointRecord the point record created in finalisePoint
+         */
+        updateServeStats(pointRecord) {
+            const serve = pointRecord.serveData;
+            if (!serve) return;
+            const serverId = pointRecord.server;
+            this.statsFor(serverId, pointRecord.serverMember).forEach(playerStats => {
+                // Lets are replayed, so they are not serve attempts
+                playerStats.lets += serve.lets || 0;
+                [serve.firstFault, serve.secondFault].forEach(fault => {
+                    if (FAULT_TYPES[fault]) {
+                        playerStats[FAULT_TYPES[fault].stat]++;
+                    }
+                });
+                // First serve was attempted
+                playerStats.firstServeTotal++;
+                if (serve.firstServe !== 'out') {
+                    // First serve landed in
+                    playerStats.firstServeIn++;
+                    if (serve.firstServe === 'ace') {
+                        playerStats.aces++;
+                    }
+                    // Did server win the point?
+                    if (pointRecord.winner === serverId) {
+                        playerStats.firstServeWon++;
+                    }
+                } else {
+                    // First serve out: second serve attempted
+                    playerStats.secondServeAttempts++;
+                    if (serve.secondServe === 'out') {
+                        // Double fault
+                        playerStats.doubleFaults++;
+                    } else {
+                        // Second serve landed in
+                        if (serve.secondServe === 'ace') {
+                            playerStats.aces++;
+                        }
+                        // Did server win the point?
+                        if (pointRecord.winner === serverId) {
+                            playerStats.secondServeWon++;
+                        }
+                    }
+                }
+            });
+        },
+        /**
+         * Update winner, unforced error and forced error counters based on
+         * the point ending data.
+         *
+         * @param {object} pointRecord
+         */
+        updatePointStats(pointRecord) {
+            const ending = pointRecord.pointEnding;
+            if (!ending) return;
+            const outcome = this.endingShot(ending).outcome;
+            this.statsFor(ending.finalPlayer, ending.finalMember).forEach(stats => {
+                if (outcome === 'winner') {
+                    stats.winners++;
+                } else if (outcome === 'unforced') {
+                    stats.unforcedErrors++;
+                } else {
+                    stats.forcedErrors++;
+                }
+            });
+            // A forced error is credited to the opponent who drew it
+            if (outcome === 'forced') {
+                this.match.players[ending.finalPlayer === 1 ? 2 : 1].stats.forcedErrorsInduced++;
+            }
+        },
+        /**
+         * Return the statistics buckets a point should be credited to:
+         * the player's (or team's) own, plus the team member's in doubles.
+         *
+         * @param {number} playerId 1 or 2
+         * @param {number|null|undefined} memberIndex doubles team member (0 or 1)
+         */
+        statsFor(playerId, memberIndex) {
+            const player = this.match.players[playerId];
+            const buckets = [player.stats];
+            if (player.members && player.members[memberIndex]) {
+                buckets.push(player.members[memberIndex].stats);
+            }
+            return buckets;
+        },
+        /**
+         * Rebuild the score and statistics from the point log with
+         * TennisScoring.replayLog, from the latest snapshot taken at or
+         * before the first changed point (by default the end of the log,
+         * when points were only removed from the end). Each replayed point
+         * gets its server, set and game number from the replayed score.
+         * Statistics are recounted over the whole log. This is
+         * the only way the score is rebuilt, used by undo and redo, point
+         * corrections and when a match is reopened.
+         *
+         * @param {number} [fromIndex] first position in the log that changed
+         */
+        replayMatch(fromIndex) {
+            const history = this.match.pointHistory;
+            const { state, snapshots } = TennisScoring.replayLog(this.match, history, this.match.snapshots, {
+                from: fromIndex,
+                // Bases past the end of the log stay while their points can be redone
+                logged: history.length + this.match.redoStack.length,
+                checkpointInterval: CHECKPOINT_INTERVAL,
+                play: (record, before) => {
+                    this.stampPoint(record, before);
+                    const after = TennisScoring.applyLogEntry(before, record);
+                    this.stampChangeover(record, before, after);
+                    return after;
+                }
+            });
+            Object.assign(this.match, state, { snapshots });
+            if (!state.matchComplete) {
+                this.match.finishedAt = null;
+            }
+            // A rest in progress no longer follows the last point
+            this.changeover = null;
+            this.serveClock = null;
+            // Reset every statistics bucket, including doubles team members'
+            [1, 2].forEach(pid => {
+                const player = this.match.players[pid];
+                player.stats = this.createStats();
+                (player.members || []).forEach(member => {
+                    member.stats = this.createStats();
+                });
+            });
+            history.forEach(record => {
+                this.updateServeStats(record);
+                this.updatePointStats(record);
+            });
+        },
+        /**
+         * Set the details of a point record that follow from the score it
+         * was played at: server, set and game number, what it could
+         * bring (break, game, set or match point), whether it was a no-ad
+         * deciding point, the court it was served to, and the winner of
+         * a point decided by the serve.
+         *
+         * @param {object} record point history record
+         * @param {object} state match state before the point
+         */
+        stampPoint(record, state) {
+            record.server = state.server;
+            record.serverMember = state.doubles ? TennisScoring.servingMember(state) : null;
+            record.setNumber = state.currentSet + 1;
+            record.gameNumber = TennisScoring.currentGameNumber(state);
+            const situation = record.violation ? null : TennisScoring.pointSituation(state);
+            if (situation) {
+                record.situation = situation;
+            } else if (record.situation) {
+                delete record.situation;
+            }
+            if (!record.violation && TennisScoring.isDecidingPoint(state)) {
+                record.decidingPoint = record.decidingPoint || { receiverSide: null };
+            } else if (record.decidingPoint) {
+                delete record.decidingPoint;
+            }
+            if (!record.violation) {
+                record.court = TennisScoring.serveCourt(state, record.decidingPoint && record.decidingPoint.receiverSide);
+            }
+            const serveWinner = TennisScoring.serveOutcomeWinner(record.serveData, state.server);
+            if (serveWinner) {
+                record.winner = serveWinner;
+            }
+        },
+        /**
+         * Record on a point the changeover it brought, if any, so the
+         * match log shows when players changed ends and rested.
+         *
+         * @param {object} record point history record
+         * @param {object} before match state before the point
+         * @param {object} after match state after the point
+         */
+        stampChangeover(record, before, after) {
+            const changeover = TennisScoring.changeoverAfter(before, after);
+            if (changeover) {
+                record.changeover = changeover;
+            } else if (record.changeover) {
+                delete record.changeover;
+            }
+        },
+        /**
+         * Describe a changeover recorded on a point.
+         *
+         * @param {object} changeover changeover from TennisScoring.changeoverAfter()
+         */
+        changeoverLabel(changeover) {
+            const title = changeover.setBreak
+                ? (changeover.changeEnds ? 'Set break – change ends' : 'Set break')
+                : 'Change ends';
+            return changeover.restSeconds ? `${title} (${changeover.restSeconds}s rest)` : `${title}, no rest`;
+        },
+        /**
+         * Keep a snapshot of the current score as a new base for replays.
+         * Used whenever the score changes other than by playing a point,
+         * after clearRedo() as the change replaces any undone points.
+         */
+        rebase() {
+            this.match.snapshots = TennisScoring.addBaseSnapshot(this.match.snapshots, this.match.pointHistory.length, this.match);
+        },
+        /**
+         * Whether the next point is a no-ad deciding point (40-40 in a
+         * regular game of a no-ad match).
+         */
+        isDecidingPoint() {
+            return !!this.match && TennisScoring.isDecidingPoint(this.match);
+        },
+        /**
+         * The court the next point is served to, following the side the
+         * receiver picked on a deciding point.
+         */
+        serveCourt() {
+            return TennisScoring.serveCourt(this.match, this.serveModal.receiverSide);
+        },
+        /**
+         * Label what a point could bring a player, e.g. "Break point ·
+         * Set point". A set point that is also match point is shown as
+         * match point, and a game point that wins the set as set point.
+         * Returns '' when the point could bring the player nothing.
+         *
+         * @param {object|null} situation from TennisScoring.pointSituation()
+         * @param {number} playerId 1 or 2
+         */
+        situationLabel(situation, playerId) {
+            const kinds = (situation && situation[playerId]) || [];
+            return kinds
+                .filter(kind => !(kind === 'set' && kinds.includes('match')))
+                .filter(kind => !(kind === 'game' && kinds.includes('set')))
+                .map(kind => SITUATIONS[kind])
+                .join(' · ');
+        },
+        /**
+         * Whether the game currently being played is a tiebreak.
+         */
+        isTiebreakGame() {
+            return !!this.match && TennisScoring.isTiebreakGame(this.match);
+        },
+        /**
+         * Whether the current set is a 10-point match tiebreak played in
+         * place of the deciding set.
+         */
+        isMatchTiebreak() {
+            return !!this.match && TennisScoring.isMatchTiebreak(this.match);
+        },
+        /**
+         * Milliseconds of play since the match started, leaving out pauses.
+         *
+         * @param {number} now current time in milliseconds
+         */
+        matchElapsedMs(now) {
+            if (!this.match || !this.match.startedAt) return 0;
+            return Math.max(0, this.activeMs(new Date(this.match.startedAt).getTime(), now));
+        },
+        /**
+         * Milliseconds between two times that play was not paused. A pause
+         * still going on counts as lasting until the later time.
+         *
+         * @param {number} from start time in milliseconds
+         * @param {number} to end time in milliseconds
+         */
+        activeMs(from, to) {
+            let ms = to - from;
+            (this.match.pauses || []).forEach(pause => {
+                const start = Math.max(from, new Date(pause.start).getTime());
+                const end = Math.min(to, pause.end ? new Date(pause.end).getTime() : to);
+                if (end > start) ms -= end - start;
+            });
+            return ms;
+        },
+        /**
+         * Time the match finished: recorded when it ended, or for matches
+         * saved before that was kept, the time of the last point.
+         */
+        matchEndTime() {
+            if (this.match.finishedAt) return new Date(this.match.finishedAt).getTime();
+            const last = this.match.pointHistory[this.match.pointHistory.length - 1];
+            return last ? new Date(last.timestamp).getTime() : new Date(this.match.startedAt).getTime();
+        },
+        /**
+         * The pause in progress, or null while play is on.
+         */
+        currentPause() {
+            const pauses = (this.match && this.match.pauses) || [];
+            const last = pauses[pauses.length - 1];
+            return last && !last.end ? last : null;
+        },
+        /**
+         * Show the pause modal to stop the match clock.
+         */
+        showPauseModal() {
+            if (!this.match || this.match.matchComplete || this.currentPause()) return;
+            this.pauseModal.reason = 'rain';
+            this.pauseModal.suspend = false;
+            this.pauseModal.visible = true;
+        },
+        /**
+         * Show the pause modal to suspend the match, for a long rain delay
+         * or an overnight stoppage. A pause in progress becomes the
+         * suspension.
+         */
+        showSuspendModal() {
+            if (!this.match || this.match.matchComplete) return;
+            const pause = this.currentPause();
+            this.pauseModal.reason = pause ? pause.reason : 'rain';
+            this.pauseModal.suspend = true;
+            this.pauseModal.visible = true;
+        },
+        /**
+         * Pause play for the reason chosen in the pause modal. Suspending
+         * also saves the match and returns to the match list; the
+         * suspension ends when the match is opened again.
+         */
+        confirmPause() {
+            let pause = this.currentPause();
+            if (!pause) {
+                pause = { start: new Date().toISOString(), end: null, reason: this.pauseModal.reason };
+                this.match.pauses.push(pause);
+            }
+            pause.reason = this.pauseModal.reason;
+            this.pauseModal.visible = false;
+            this.changeover = null;
+            this.serveClock = null;
+            if (this.pauseModal.suspend) {
+                pause.suspended = true;
+                this.goHome();
+                return;
+            }
+            this.saveCurrentMatch();
+        },
+        /**
+         * Resume play after a pause, restarting the match clock.
+         */
+        resumePlay() {
+            const pause = this.currentPause();
+            if (!pause) return;
+            pause.end = new Date().toISOString();
+            this.saveCurrentMatch();
+        },
+        /**
+         * Stoppages (pauses and suspensions) that began after the point log
+         * entry at the given index and before the next one, for the point
+         * timeline.
          *
-         * @param {number} playerId 1 or 2
+         * @param {number} index index into match.pointHistory
          */
-        selectFinalPlayer(playerId) {
-            this.serveModal.finalPlayer = playerId;
+        stoppagesAfter(index) {
+            const history = this.match.pointHistory;
+            const from = new Date(history[index].timestamp).getTime();
+            const to = index + 1 < history.length ? new Date(history[index + 1].timestamp).getTime() : Infinity;
+            return (this.match.pauses || []).filter(pause => {
+                const start = new Date(pause.start).getTime();
+                return start >= from && start < to;
+            });
         },
         /**
-         * Handle selection of the final stroke type. Just sets the stroke type
-         * without auto-submitting, allowing user to also select point type.
+         * Describe a stoppage, e.g. "Suspended (Rain) 14:05 – resumed
+         * 16:40, 2:35:00".
          *
-         * @param {string} stroke one of 'fh-winner', 'bh-winner', 'fh-unforced', 'bh-unforced', 'fh-forced', 'bh-forced'
+         * @param {object} pause entry of match.pauses
          */
-        selectStroke(stroke) {
-            this.serveModal.strokeType = stroke;
+        stoppageLabel(pause) {
+            const time = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const title = `${pause.suspended ? 'Suspended' : 'Paused'} (${this.pauseReasons[pause.reason] || pause.reason}) ${time(pause.start)}`;
+            if (!pause.end) return `${title}, not yet resumed`;
+            const ms = new Date(pause.end).getTime() - new Date(pause.start).getTime();
+            return `${title} – resumed ${time(pause.end)}, ${this.formatClock(ms)}`;
         },
         /**
-         * Submit the point with all selected details (stroke, point type, comment).
+         * The scoresheet of the current match as plain text: the match
+         * details, score and time played, then every point game by game
+         * with the stoppages where they happened.
          */
-        submitPointDetails() {
-            // Validate that we have all required selections
-            if (!this.serveModal.finalPlayer || !this.serveModal.strokeType) {
-                alert('Please select which player hit the final shot and what type of shot it was.');
-                return;
-            }
-            
-            // Determine point winner based on stroke
-            let winner;
-            if (this.serveModal.strokeType.includes('winner')) {
-                winner = this.serveModal.finalPlayer;
-            } else {
-                // Unforced error or forced error: opponent wins
-                winner = this.serveModal.finalPlayer === 1 ? 2 : 1;
+        scoresheetText() {
+            const match = this.match;
+            const players = `${match.players[1].name} vs ${match.players[2].name}`;
+            const details = [match.tournament || 'Friendly Match', match.round, match.court, this.formatDate(match.date)]
+                .filter(Boolean).join(' • ');
+            const score = TennisScoring.formatSetScores(
+                match.matchComplete ? match.setScores : this.getCurrentSetScores(),
+                TennisScoring.matchResult(match)
+            );
+            const lines = [players, details, ''];
+            lines.push(match.matchComplete ? `Result: ${this.resultText}` : `Score: ${score || '0-0'} (in progress)`);
+            lines.push(`Time played: ${this.formatClock(this.matchDurationMs)}`);
+            const stoppages = match.pauses || [];
+            if (stoppages.length) {
+                lines.push('', 'Stoppages:');
+                stoppages.forEach(pause => lines.push(`  ${this.stoppageLabel(pause)}`));
             }
-            
-            const serveData = {
-                firstServe: this.serveModal.firstServe,
-                secondServe: this.serveModal.firstServe === 'out' ? this.serveModal.secondServe : null
-            };
-            const pointEnding = {
-                finalPlayer: this.serveModal.finalPlayer,
-                strokeType: this.serveModal.strokeType
-            };
-            
-            this.finalisePoint(winner, serveData, pointEnding, this.serveModal.pointType, this.serveModal.comment);
-            this.closeServeModal();
+            this.organizedPointHistory.forEach(set => {
+                lines.push('', `Set ${set.setNumber}${set.finalScore ? ' ' + set.finalScore : ''}`);
+                set.games.forEach(game => {
+                    lines.push(`  Game ${game.gameNumber}${game.winner !== 'In Progress' ? ' – ' + game.winner : ''}`);
+                    game.points.forEach(point => {
+                        const label = point.violation ? '  ' : `${point.pointNumber}.`;
+                        lines.push(`    ${label} ${this.pointSummary(point)}`);
+                        this.stoppagesAfter(point.historyIndex).forEach(pause => lines.push(`    -- ${this.stoppageLabel(pause)}`));
+                    });
+                });
+            });
+            return lines.join('\n') + '\n';
         },
         /**
-         * Quick method to finalize a point with just the winner, no detailed tracking.
-         *
-         * @param {number} winner the player who won the point (1 or 2)
+         * Download the scoresheet of the current match as a text file.
          */
-        quickFinalizePoint(winner) {
-            // Use minimal serve data and point ending info
-            const serveData = {
-                firstServe: 'in',
-                secondServe: null
-            };
-            const pointEnding = null; // No detailed ending info
-            this.finalisePoint(winner, serveData, pointEnding, 'medium', '');
-            this.closeServeModal();
+        exportScoresheet() {
+            if (!this.match) return;
+            const blob = new Blob([this.scoresheetText()], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const name = `${this.match.players[1].name}-vs-${this.match.players[2].name}-${this.match.date || 'match'}`
+                .replace(/[^A-Za-z0-9-]+/g, '_');
+            link.href = url;
+            link.download = `${name}.txt`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
         },
         /**
-         * Finalise a point by updating scores, games, sets, server and
-         * statistics. A snapshot of the state before applying the point
-         * is stored so the user can undo the last point if needed.
-         *
-         * @param {number} winner the player who won the point (1 or 2)
-         * @param {object} serveData details of first and second serve
-         * @param {object|null} pointEnding details of the final shot
-         * @param {string} comment optional comment provided by the user
+         * End a timed match once its time has run out and the game in
+         * progress is finished (see TennisScoring.applyTimeExpiry).
          */
-        finalisePoint(winner, serveData, pointEnding, pointType, comment) {
+        checkTimeExpiry() {
             if (!this.match || this.match.matchComplete) return;
-            // Capture the state before applying the point so it can be undone
-            const before = {
-                currentSet: this.match.currentSet,
-                server: this.match.server,
-                gameStartServer: this.match.gameStartServer,
-                setScores: JSON.parse(JSON.stringify(this.match.setScores)),
-                players: JSON.parse(JSON.stringify(this.match.players))
-            };
-            // Build the point record
-            const pointRecord = {
-                winner,
-                server: this.match.server,
-                serveData: serveData,
-                pointEnding: pointEnding,
-                pointType: pointType || '',
-                comment: comment || '',
-                timestamp: new Date().toISOString(),
-                gameNumber: this.calculateCurrentGameNumber(),
-                setNumber: this.match.currentSet + 1,
-                before: before
-            };
-            // Push record to history
-            this.match.pointHistory.push(pointRecord);
-            // Update stats based on serve
-            this.updateServeStats(pointRecord);
-            // Update stats based on final shot
-            this.updatePointStats(pointRecord);
-            // Add point to the winner
-            this.match.players[winner].points++;
-            // Check for game win
-            if (this.checkGameWin(winner)) {
-                // Show game comment modal after a brief delay
-                setTimeout(() => {
-                    this.showGameCommentModal();
-                }, 300);
-                
-                // Increment game count
-                this.match.players[winner].games++;
-                // Reset points
-                this.match.players[1].points = 0;
-                this.match.players[2].points = 0;
-                // Move to next game: alternate server
-                this.match.gameStartServer = this.match.gameStartServer === 1 ? 2 : 1;
-                this.match.server = this.match.gameStartServer;
-                // Check for set win
-                if (this.checkSetWin(winner)) {
-                    // Record final game scores for the completed set
-                    this.match.setScores[this.match.currentSet] = {
-                        p1Games: this.match.players[1].games,
-                        p2Games: this.match.players[2].games
-                    };
-                    // Award set to winner
-                    this.match.players[winner].sets[this.match.currentSet] = 1;
-                    this.match.players[1].games = 0;
-                    this.match.players[2].games = 0;
-                    // Advance to next set
-                    this.match.currentSet++;
-                    // Reset server to first server for new set
-                    this.match.server = this.match.gameStartServer;
-                    // Check for match win
-                    if (this.checkMatchWin(winner)) {
-                        this.match.matchComplete = true;
-                        this.match.winner = this.match.players[winner].name;
-                        // Copy final sets for storage
-                        this.match.finalSets = this.match.setScores.slice();
-                        this.match.isInProgress = false;
-                        this.saveCurrentMatch();
-                    }
-                }
+            const next = TennisScoring.applyTimeExpiry(this.match, this.matchElapsedMs(Date.now()));
+            if (next === this.match) return;
+            Object.assign(this.match, next);
+            if (next.matchComplete) {
+                this.match.finishedAt = new Date().toISOString();
             }
-            
-            // Save the match state after each point to ensure persistence
+            this.clearRedo();
+            this.rebase();
             this.saveCurrentMatch();
         },
         /**
-         * Update players' serve statistics based on the recorded point.
-         * Aces, double faults and serve winning percentages are derived
-         * from serveData and the winner of the point.
+         * Format a duration in milliseconds as m:ss, or h:mm:ss for an
+         * hour or more.
          *
-         * @param {object} pointRecord the point record created in finalisePoint
+         * @param {number} ms duration in milliseconds
          */
-        updateServeStats(pointRecord) {
-            const serve = pointRecord.serveData;
-            if (!serve) return;
-            const serverId = pointRecord.server;
-            const playerStats = this.match.players[serverId].stats;
-            // First serve was attempted
-            playerStats.firstServeTotal++;
-            if (serve.firstServe !== 'out') {
-                // First serve landed in
-                playerStats.firstServeIn++;
-                if (serve.firstServe === 'ace') {
-                    playerStats.aces++;
-                }
-                // Did server win the point?
-                if (pointRecord.winner === serverId) {
-                    playerStats.firstServeWon++;
-                }
-            } else {
-                // First serve out: second serve attempted
-                playerStats.secondServeAttempts++;
-                if (serve.secondServe === 'out') {
-                    // Double fault
-                    playerStats.doubleFaults++;
-                } else {
-                    // Second serve landed in
-                    if (serve.secondServe === 'ace') {
-                        playerStats.aces++;
-                    }
-                    // Did server win the point?
-                    if (pointRecord.winner === serverId) {
-                        playerStats.secondServeWon++;
-                    }
-                }
+        formatClock(ms) {
+            const totalSeconds = Math.floor(ms / 1000);
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor((totalSeconds % 3600) / 60);
+            const seconds = String(totalSeconds % 60).padStart(2, '0');
+            if (hours > 0) {
+                return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
             }
+            return `${minutes}:${seconds}`;
         },
         /**
-         * Update winners and unforced error counters based on the point
-         * ending data.
-         *
-         * @param {object} pointRecord
+         * Doubles: index (0 or 1) of the member of the serving team who is
+         * serving now, or null when the set's serve order is not yet known.
          */
-        updatePointStats(pointRecord) {
-            const ending = pointRecord.pointEnding;
-            if (!ending) return;
-            const finalPlayer = ending.finalPlayer;
-            const stroke = ending.strokeType;
-            if (stroke.includes('winner')) {
-                this.match.players[finalPlayer].stats.winners++;
-            } else if (stroke.includes('unforced')) {
-                this.match.players[finalPlayer].stats.unforcedErrors++;
-            }
+        servingMember() {
+            return this.match ? TennisScoring.servingMember(this.match) : null;
         },
         /**
-         * Determine if the specified player has won the current game. A game
-         * is won by the first player to reach four points with a two point
-         * margin. Advantage scoring is handled implicitly by the points
-         * difference.
-         *
-         * @param {number} playerId 1 or 2
+         * Name of the player serving now: the serving team member in
+         * doubles, otherwise the serving player.
          */
-        checkGameWin(playerId) {
-            const p = this.match.players[playerId].points;
-            const q = this.match.players[playerId === 1 ? 2 : 1].points;
-            return p >= 4 && (p - q) >= 2;
+        serverName() {
+            const player = this.match.players[this.match.server];
+            const member = this.servingMember();
+            return member === null ? player.name : player.members[member].name;
         },
         /**
-         * Determine if the specified player has won the current set. The
-         * player must win six games with a two game margin. This simplified
-         * version allows sets to continue beyond 6‑6 until a two game
-         * margin is achieved (no tiebreak implemented).
+         * Name of the player who served a recorded point.
          *
-         * @param {number} playerId 1 or 2
+         * @param {object} point a point history record
          */
-        checkSetWin(playerId) {
-            const gamesWon = this.match.players[playerId].games;
-            const gamesLost = this.match.players[playerId === 1 ? 2 : 1].games;
-            return gamesWon >= 6 && (gamesWon - gamesLost) >= 2;
+        pointServerName(point) {
+            const player = this.match.players[point.server];
+            const member = player.members && player.members[point.serverMember];
+            return member ? member.name : player.name;
         },
         /**
-         * Determine if the specified player has won the match. The first
-         * player to win the required number of sets (best of 3 or 5) wins
-         * the match.
+         * Name of the player who hit the final shot of a recorded point.
          *
-         * @param {number} playerId 1 or 2
+         * @param {object} ending the point's pointEnding
          */
-        checkMatchWin(playerId) {
-            const setsWon = this.match.players[playerId].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const needed = Math.ceil(this.match.matchFormat / 2);
-            return setsWon >= needed;
+        pointEndingPlayerName(ending) {
+            const player = this.match.players[ending.finalPlayer];
+            const member = player.members && player.members[ending.finalMember];
+            return member ? member.name : player.name;
         },
         /**
-         * Undo the last recorded point. Restores scores, games, sets,
-         * server and statistics to their previous state. Statistics are
-         * recalculated from scratch based on the remaining point history.
+         * Doubles: ask who serves for each team when the serve order for
+         * the current set is not yet known (start of a set, or joining a
+         * match part way through).
          */
-        undoLastPoint() {
-            if (!this.match || this.match.pointHistory.length === 0) return;
-            // Remove last point and restore state
-            const last = this.match.pointHistory.pop();
-            const before = last.before;
-            this.match.currentSet = before.currentSet;
-            this.match.server = before.server;
-            this.match.gameStartServer = before.gameStartServer;
-            this.match.setScores = JSON.parse(JSON.stringify(before.setScores));
-            this.match.players = JSON.parse(JSON.stringify(before.players));
-            // Recompute matchComplete and winner
-            this.match.matchComplete = false;
-            this.match.winner = null;
-            this.match.finalSets = [];
-            // Reset stats for both players
+        promptServeOrder() {
+            if (!this.match || !this.match.doubles || this.match.matchComplete) return;
+            if ((this.match.serveOrder || [])[this.match.currentSet]) return;
+            this.serveOrderModal.choices = { 1: null, 2: null };
+            this.serveOrderModal.visible = true;
+        },
+        /**
+         * Store the serve order chosen in the serve order modal. The
+         * choices name who serves the team's next service turn (the
+         * current game for the serving team), which is converted to who
+         * would have served the team's first turn of the set.
+         */
+        confirmServeOrder() {
+            const choices = this.serveOrderModal.choices;
+            if (choices[1] === null || choices[2] === null) return;
+            const turns = TennisScoring.serviceTurnsInSet(this.match);
+            const order = {};
             [1, 2].forEach(pid => {
-                const stats = this.match.players[pid].stats;
-                stats.firstServeTotal = 0;
-                stats.firstServeIn = 0;
-                stats.firstServeWon = 0;
-                stats.secondServeAttempts = 0;
-                stats.secondServeWon = 0;
-                stats.aces = 0;
-                stats.doubleFaults = 0;
-                stats.winners = 0;
-                stats.unforcedErrors = 0;
-            });
-            // Recalculate statistics from remaining history
-            this.match.pointHistory.forEach(record => {
-                this.updateServeStats(record);
-                this.updatePointStats(record);
+                const nextTurn = pid === this.match.server ? turns : turns + 1;
+                order[pid] = (choices[pid] + Math.floor(nextTurn / 2)) % 2;
             });
+            if (!this.match.serveOrder) this.match.serveOrder = [];
+            this.match.serveOrder[this.match.currentSet] = order;
+            this.serveOrderModal.visible = false;
+            this.saveCurrentMatch();
+        },
+        /**
+         * Undo the last recorded point. The point is kept on the redo
+         * stack with all its details, and the score and statistics are
+         * rebuilt by replaying the remaining point log.
+         */
+        undoLastPoint() {
+            if (!this.match) return;
+            this.stepTo(this.match.pointHistory.length - 1);
+        },
+        /**
+         * Redo the most recently undone point.
+         */
+        redoPoint() {
+            if (!this.match) return;
+            this.stepTo(this.match.pointHistory.length + 1);
+        },
+        /**
+         * Forget the undone points once a new entry replaces them, along
+         * with any base snapshot taken after the last logged point.
+         */
+        clearRedo() {
+            const logged = this.match.pointHistory.length;
+            this.match.snapshots = this.match.snapshots.filter(snap => snap.index <= logged);
+            this.match.redoStack = [];
+        },
+        /**
+         * Step the match back or forward until a given number of points
+         * have been played, undoing points onto the redo stack or redoing
+         * them from it, then rebuild the score once by replaying the log.
+         *
+         * @param {number} count number of points to leave in the log
+         */
+        stepTo(count) {
+            const history = this.match.pointHistory;
+            const redo = this.match.redoStack;
+            const target = Math.max(0, Math.min(count, history.length + redo.length));
+            if (target === history.length) return;
+            if (target < history.length) {
+                this.markLogChanged(target);
+            }
+            while (history.length > target) {
+                redo.push(history.pop());
+            }
+            while (history.length < target) {
+                history.push(redo.pop());
+            }
+            this.replayMatch();
+            // Forget a doubles serve order chosen for a set that was undone
+            if (this.match.serveOrder) {
+                this.match.serveOrder.splice(this.match.currentSet + 1);
+            }
+            this.serveOrderModal.visible = false;
+            this.promptServeOrder();
+            this.saveCurrentMatch();
+        },
+        /**
+         * Describe the serves of a recorded point for the Match Breakdown,
+         * e.g. "T out (net), Body in" or "in · 1 let".
+         *
+         * @param {object} serveData the point's serve data
+         */
+        serveDescription(serveData) {
+            const describe = (outcome, fault, direction) => {
+                const text = SERVE_DIRECTIONS[direction] ? `${SERVE_DIRECTIONS[direction]} ${outcome}` : outcome;
+                return fault && FAULT_TYPES[fault] ? `${text} (${FAULT_TYPES[fault].label})` : text;
+            };
+            let text = describe(serveData.firstServe, serveData.firstFault, serveData.firstDirection);
+            if (serveData.secondServe) {
+                text += ', ' + describe(serveData.secondServe, serveData.secondFault, serveData.secondDirection);
+            }
+            if (serveData.lets) {
+                text += ` · ${serveData.lets} let${serveData.lets !== 1 ? 's' : ''}`;
+            }
+            return text;
+        },
+        /**
+         * Describe a recorded point in a few words for the action history,
+         * e.g. "Smith – ace" or "Jones – fh unforced".
+         *
+         * @param {object} record a point history record
+         */
+        pointSummary(record) {
+            if (record.violation) return this.violationSummary(record.violation);
+            const serve = record.serveData || {};
+            if (serve.firstServe === 'ace' || serve.secondServe === 'ace') {
+                return `${this.pointServerName(record)} – ace`;
+            }
+            if (serve.firstServe === 'out' && serve.secondServe === 'out') {
+                return `${this.pointServerName(record)} – double fault`;
+            }
+            if (serve.firstServe === 'unreturned' || serve.secondServe === 'unreturned') {
+                return `${this.pointServerName(record)} – unreturned serve`;
+            }
+            if (record.pointEnding) {
+                return `${this.pointEndingPlayerName(record.pointEnding)} – ${this.shotLabel(record.pointEnding)}`;
+            }
+            return `${this.match.players[record.winner].name} won the point`;
         },
         /**
          * Toggle the visibility of the statistics panel.
@@ -1779,10 +3908,7 @@ createApp({
             // Pre-populate with current state
             for (let i = 0; i < 5; i++) {
                 if (i < this.match.setScores.length) {
-                    this.fastForwardModal.setScores[i] = {
-                        p1: this.match.setScores[i].p1Games,
-                        p2: this.match.setScores[i].p2Games
-                    };
+                    this.fastForwardModal.setScores[i] = TennisScoring.setScoreEntry(this.match.setScores[i]);
                 } else if (i === this.match.currentSet && (this.match.players[1].games > 0 || this.match.players[2].games > 0)) {
                     // Current set in progress
                     this.fastForwardModal.setScores[i] = {
@@ -1809,69 +3935,27 @@ createApp({
         applyFastForward() {
             if (!this.match) return;
             
-            // Update set scores and determine current set
-            const newSetScores = [];
-            const newPlayerSets = { 1: [0, 0, 0, 0, 0], 2: [0, 0, 0, 0, 0] };
-            let currentSet = 0;
-            let currentP1Games = 0;
-            let currentP2Games = 0;
-            
-            for (let i = 0; i < this.match.matchFormat; i++) {
-                const setScore = this.fastForwardModal.setScores[i];
-                if (setScore.p1 > 0 || setScore.p2 > 0) {
-                    // Check if this set is complete
-                    if (this.isSetComplete(setScore.p1, setScore.p2)) {
-                        newSetScores.push({
-                            p1Games: setScore.p1,
-                            p2Games: setScore.p2
-                        });
-                        
-                        // Award set to winner
-                        if (setScore.p1 > setScore.p2) {
-                            newPlayerSets[1][i] = 1;
-                        } else if (setScore.p2 > setScore.p1) {
-                            newPlayerSets[2][i] = 1;
-                        }
-                        
-                        currentSet = i + 1;
-                    } else {
-                        // This is the current set in progress
-                        currentP1Games = setScore.p1;
-                        currentP2Games = setScore.p2;
-                        currentSet = i;
-                        break;
-                    }
-                } else {
-                    // No more sets with scores
-                    break;
-                }
-            }
-            
-            // Update match state
-            this.match.setScores = newSetScores;
-            this.match.players[1].sets = newPlayerSets[1];
-            this.match.players[2].sets = newPlayerSets[2];
-            this.match.currentSet = currentSet;
-            this.match.players[1].games = currentP1Games;
-            this.match.players[2].games = currentP2Games;
-            this.match.players[1].points = this.fastForwardModal.currentPoints.p1;
-            this.match.players[2].points = this.fastForwardModal.currentPoints.p2;
-            this.match.server = this.fastForwardModal.currentServer;
+            // Only accept scores that can occur under the match format
+            if (!this.acceptScoreEntry(this.fastForwardValidation)) return;
             
-            // Check if match is now complete
-            const setsWon1 = this.match.players[1].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const setsWon2 = this.match.players[2].sets.reduce((s, v) => s + (v ? 1 : 0), 0);
-            const needed = Math.ceil(this.match.matchFormat / 2);
+            this.fastForwardModal.currentPoints.p1 = Number(this.fastForwardModal.currentPoints.p1);
+            this.fastForwardModal.currentPoints.p2 = Number(this.fastForwardModal.currentPoints.p2);
             
-            if (setsWon1 >= needed || setsWon2 >= needed) {
-                this.match.matchComplete = true;
-                this.match.winner = setsWon1 > setsWon2 ? this.match.players[1].name : this.match.players[2].name;
-                this.match.finalSets = this.match.setScores.slice();
-                this.match.isInProgress = false;
-                this.saveCurrentMatch();
-            }
+            // Replace the score, completing the match if the entered sets decide it
+            Object.assign(this.match, TennisScoring.applyScores(this.match, this.fastForwardModal.setScores, this.fastForwardModal.currentPoints, this.fastForwardModal.currentServer));
+            // The entered score replaces any undone points
+            this.clearRedo();
+            this.rebase();
+            this.changeover = null;
+            this.serveClock = null;
+            this.saveCurrentMatch();
             
             this.fastForwardModal.visible = false;
+            // Doubles: the jump may change who is due to serve, so ask again
+            if (this.match.doubles) {
+                this.match.serveOrder.splice(this.match.currentSet);
+                this.promptServeOrder();
+            }
         },
         
         /**
@@ -1888,15 +3972,19 @@ createApp({
             if (!this.match || this.match.matchComplete) return;
             // Default to no winner selected
             this.endMatchModal.winner = null;
-            this.endMatchModal.reason = 'completed';
+            this.endMatchModal.resultType = 'completed';
+            this.endMatchModal.reason = '';
             this.endMatchModal.notes = '';
             
             // Pre-populate with current set scores
             for (let i = 0; i < 5; i++) {
                 if (i < this.match.setScores.length) {
+                    this.endMatchModal.setScores[i] = TennisScoring.setScoreEntry(this.match.setScores[i]);
+                } else if (i === this.match.currentSet && this.isMatchTiebreak()) {
+                    // A match tiebreak in progress is entered by its points
                     this.endMatchModal.setScores[i] = {
-                        p1: this.match.setScores[i].p1Games,
-                        p2: this.match.setScores[i].p2Games
+                        p1: this.match.players[1].points,
+                        p2: this.match.players[2].points
                     };
                 } else if (i === this.match.currentSet && (this.match.players[1].games > 0 || this.match.players[2].games > 0)) {
                     // Current set in progress
@@ -1911,6 +3999,29 @@ createApp({
             
             this.endMatchModal.visible = true;
         },
+        /**
+         * Decide whether a hand-entered score may replace the match
+         * state. Errors block it (they are already listed in the form);
+         * warnings are shown once more for the scorer to confirm.
+         *
+         * @param {{errors: string[], warnings: string[]}} validation result of TennisScoring.validateScoreEntry()
+         * @returns {boolean} true when the score should be applied
+         */
+        acceptScoreEntry(validation) {
+            if (validation.errors.length) {
+                alert(validation.errors.join('\n'));
+                return false;
+            }
+            if (!validation.warnings.length) return true;
+            return confirm(validation.warnings.join('\n') + '\n\nUse this score anyway?');
+        },
+        /**
+         * Winner chosen in the end match modal: 1 or 2, 0 for an
+         * unfinished match, which has no result, or null when not chosen.
+         */
+        endMatchWinner() {
+            return this.endMatchModal.resultType === 'unfinished' ? 0 : this.endMatchModal.winner;
+        },
         /**
          * Select the match winner in the end match modal.
          */
@@ -1923,10 +4034,12 @@ createApp({
          */
         confirmEndMatch() {
             if (!this.match) return;
-            if (this.endMatchModal.winner === null) {
-                alert('Please select a match result.');
+            const winnerId = this.endMatchWinner();
+            if (winnerId === null) {
+                alert('Please select who won the match.');
                 return;
             }
+            if (!this.acceptScoreEntry(this.endMatchValidation)) return;
             
             // Apply set scores from the modal
             const newSetScores = [];
@@ -1935,16 +4048,12 @@ createApp({
             for (let i = 0; i < this.match.matchFormat; i++) {
                 const setScore = this.endMatchModal.setScores[i];
                 if (setScore.p1 > 0 || setScore.p2 > 0) {
-                    newSetScores.push({
-                        p1Games: setScore.p1,
-                        p2Games: setScore.p2
-                    });
+                    const rules = TennisScoring.setRules(this.match, i);
+                    newSetScores.push(TennisScoring.entrySetScore(setScore, rules));
                     
-                    // Determine set winner
-                    if (setScore.p1 > setScore.p2) {
-                        newPlayerSets[1][i] = 1;
-                    } else if (setScore.p2 > setScore.p1) {
-                        newPlayerSets[2][i] = 1;
+                    // Only a finished set counts towards the sets won
+                    if (TennisScoring.isEntrySetComplete(setScore, rules)) {
+                        newPlayerSets[setScore.p1 > setScore.p2 ? 1 : 2][i] = 1;
                     }
                 }
             }
@@ -1956,19 +4065,27 @@ createApp({
             this.match.currentSet = newSetScores.length;
             
             // Apply winner and finalise the match
-            if (this.endMatchModal.winner === 0) {
+            if (winnerId === 0) {
                 // No result
                 this.match.matchComplete = true;
                 this.match.winner = 'No Result';
             } else {
-                const winnerName = this.match.players[this.endMatchModal.winner].name;
+                const winnerName = this.match.players[winnerId].name;
                 this.match.matchComplete = true;
                 this.match.winner = winnerName;
             }
+            this.match.finishedAt = new Date().toISOString();
+            this.match.result = {
+                type: this.endMatchModal.resultType,
+                reason: this.endMatchModal.resultType === 'completed' ? '' : this.endMatchModal.reason,
+                notes: this.endMatchModal.notes.trim()
+            };
             
             // Copy final sets
             this.match.finalSets = this.match.setScores.slice();
             this.match.isInProgress = false;
+            this.clearRedo();
+            this.rebase();
             this.saveCurrentMatch();
             this.endMatchModal.visible = false;
         },
@@ -1993,14 +4110,21 @@ createApp({
                 this.match.startTime = stored.startTime || '';
                 this.match.players[1].name = stored.player1;
                 this.match.players[2].name = stored.player2;
+                this.restoreDoubles(stored);
                 this.match.matchFormat = stored.format;
+                Object.assign(this.match, TennisScoring.formatSettings(stored));
+                this.match.startedAt = stored.startedAt || null;
+                this.match.finishedAt = stored.finishedAt || null;
+                this.match.pauses = JSON.parse(JSON.stringify(stored.pauses || []));
+                this.match.endReason = stored.endReason || null;
+                this.match.result = TennisScoring.matchResult(stored);
                 // Copy final set scores
-                this.match.setScores = stored.finalSets || [];
+                this.match.setScores = (stored.finalSets || []).map(set => TennisScoring.normaliseSetScore(set));
                 // Mark sets as won by final scores
                 this.match.players[1].sets = [0,0,0,0,0];
                 this.match.players[2].sets = [0,0,0,0,0];
-                stored.finalSets.forEach((set, idx) => {
-                    if (set.p1 > set.p2) {
+                this.match.setScores.forEach((set, idx) => {
+                    if (set.p1Games > set.p2Games) {
                         this.match.players[1].sets[idx] = 1;
                     } else {
                         this.match.players[2].sets[idx] = 1;
@@ -2009,7 +4133,7 @@ createApp({
                 // Set winner and complete flag
                 this.match.matchComplete = true;
                 this.match.winner = stored.winner;
-                this.match.currentSet = stored.finalSets.length;
+                this.match.currentSet = this.match.setScores.length;
                 // Reset games and points
                 this.match.players[1].games = 0;
                 this.match.players[2].games = 0;
@@ -2031,38 +4155,80 @@ createApp({
             this.match.startTime = stored.startTime || '';
             this.match.players[1].name = stored.player1;
             this.match.players[2].name = stored.player2;
+            this.restoreDoubles(stored);
             this.match.matchFormat = stored.format;
-            this.match.currentSet = state.currentSet;
-            this.match.server = state.server;
-            this.match.gameStartServer = state.gameStartServer;
-            this.match.setScores = JSON.parse(JSON.stringify(state.setScores));
-            // Deep copy players including sets, games, points, stats
-            this.match.players = JSON.parse(JSON.stringify(state.players));
-            this.match.pointHistory = JSON.parse(JSON.stringify(state.pointHistory));
-            this.match.matchComplete = false;
-            this.match.isInProgress = true;
-            // Recalculate statistics from history
-            [1, 2].forEach(pid => {
-                const stats = this.match.players[pid].stats;
-                stats.firstServeTotal = 0;
-                stats.firstServeIn = 0;
-                stats.firstServeWon = 0;
-                stats.secondServeAttempts = 0;
-                stats.secondServeWon = 0;
-                stats.aces = 0;
-                stats.doubleFaults = 0;
-                stats.winners = 0;
-                stats.unforcedErrors = 0;
-            });
-            this.match.pointHistory.forEach(record => {
-                this.updateServeStats(record);
-                this.updatePointStats(record);
-            });
+            Object.assign(this.match, TennisScoring.formatSettings(stored));
+            this.match.startedAt = stored.startedAt || null;
+            this.match.pauses = JSON.parse(JSON.stringify(stored.pauses || []));
+            // Opening a suspended match resumes it
+            const suspension = this.currentPause();
+            if (suspension && suspension.suspended) {
+                suspension.end = new Date().toISOString();
+            }
+            if (state.pointHistory) {
+                // Matches saved before the point log had keys of its own
+                // kept it here, and point records saved before it was
+                // replayed carried a copy of the whole score; it is no
+                // longer needed. The next save writes the log out.
+                this.match.pointHistory = state.pointHistory.map(({ before, ...record }) => record);
+                this.savedLog = { id: null, length: 0, changedFrom: null };
+            } else {
+                this.match.pointHistory = this.loadPointLog(stored.id, state.logLength);
+                this.savedLog = { id: stored.id, length: state.logLength, changedFrom: null };
+            }
+            this.match.redoStack = JSON.parse(JSON.stringify(state.redoStack || []));
+            this.match.snapshots = state.snapshots
+                ? JSON.parse(JSON.stringify(state.snapshots))
+                : this.legacySnapshots(state);
+            // Rebuild the score and statistics from the point log
+            this.replayMatch();
             // Restore game comments if available
             if (state.gameComments) {
                 this.match.gameComments = JSON.parse(JSON.stringify(state.gameComments));
             }
             this.stage = 'match';
+            if (suspension && suspension.suspended) {
+                this.saveCurrentMatch();
+            }
+            this.promptServeOrder();
+        },
+        /**
+         * Build replay snapshots for an in-progress match saved before
+         * matches were stored as a point log. Such matches kept the score
+         * as it stood and a copy of the score before every point: the copy
+         * before the first point becomes the base the log is replayed
+         * from, and the saved score a base after the last point (it also
+         * covers any fast forward).
+         *
+         * @param {object} state the stored match's restoreState
+         */
+        legacySnapshots(state) {
+            const first = state.pointHistory[0];
+            const snapshots = [];
+            if (first && first.before) {
+                snapshots.push({ index: 0, kind: 'base', state: TennisScoring.scoreSnapshot(first.before) });
+            }
+            snapshots.push({ index: state.pointHistory.length, kind: 'base', state: TennisScoring.scoreSnapshot(state) });
+            return snapshots;
+        },
+        /**
+         * Restore the doubles flag, team members and serve order of a
+         * stored match onto this.match. Singles matches lose any members
+         * created from the setup form.
+         *
+         * @param {object} stored match as saved in localStorage
+         */
+        restoreDoubles(stored) {
+            this.match.doubles = !!stored.doubles;
+            this.match.serveOrder = JSON.parse(JSON.stringify(stored.serveOrder || []));
+            [1, 2].forEach(pid => {
+                const player = this.match.players[pid];
+                if (this.match.doubles && stored.members) {
+                    player.members = stored.members[pid].map(name => ({ name, stats: this.createStats() }));
+                } else {
+                    delete player.members;
+                }
+            });
         },
         
         /**
@@ -2113,8 +4279,7 @@ createApp({
          */
         getSetFinalScore(setNumber) {
             if (this.match.setScores && this.match.setScores[setNumber - 1]) {
-                const setScore = this.match.setScores[setNumber - 1];
-                return `${setScore.p1Games}-${setScore.p2Games}`;
+                return this.formatSetScores([this.match.setScores[setNumber - 1]]);
             }
             return null;
         },
@@ -2143,7 +4308,21 @@ createApp({
                 const pct = Math.round((s.secondServeWon / s.secondServeAttempts) * 100);
                 return `${pct}%`;
             }
-            return '0';
+            if (statName === 'faultTypes') {
+                return `${s.faultsLong || 0} / ${s.faultsWide || 0} / ${s.faultsNet || 0}`;
+            }
+            // Counts missing from matches saved before they were kept
+            return String(s[statName] || 0);
+        },
+        /**
+         * A count as a whole percentage of a total, '0%' when the total is
+         * zero.
+         *
+         * @param {number} count
+         * @param {number} total
+         */
+        percentOf(count, total) {
+            return total ? `${Math.round((count / total) * 100)}%` : '0%';
         },
         /**
          * Get today's date as a string in YYYY-MM-DD format using local timezone.
@@ -2177,18 +4356,173 @@ createApp({
          * This ensures proper game numbering when joining matches in progress.
          */
         calculateCurrentGameNumber() {
-            let totalGames = this.getTotalCompletedGames();
-            
-            // Add games from current set
-            totalGames += this.match.players[1].games + this.match.players[2].games;
-            
-            // Add 1 for the current game in progress
-            return totalGames + 1;
+            return TennisScoring.currentGameNumber(this.match);
+        },
+        /**
+         * Open the point editor from the Match Breakdown, either to correct
+         * the point at an index of the point log or to insert a new point
+         * before it.
+         *
+         * @param {number} index position in match.pointHistory
+         * @param {boolean} insert true to insert a new point before it
+         */
+        openPointEditor(index, insert) {
+            const modal = this.pointEditModal;
+            const record = this.match.pointHistory[index];
+            modal.index = index;
+            modal.insert = insert;
+            if (insert) {
+                Object.assign(modal, { firstServe: 'in', secondServe: 'in', firstFault: '', secondFault: '', firstDirection: '', secondDirection: '', lets: 0, finalShot: '', stroke: 'groundstroke', side: 'fh', outcome: 'winner', winner: 1, rallyLength: '', netApproach: { 1: '', 2: '' }, comment: '' });
+            } else {
+                const serve = record.serveData || { firstServe: 'in', secondServe: null };
+                const ending = record.pointEnding;
+                modal.firstServe = serve.firstServe;
+                modal.secondServe = serve.secondServe || 'in';
+                modal.firstFault = serve.firstFault || '';
+                modal.secondFault = serve.secondFault || '';
+                modal.firstDirection = serve.firstDirection || '';
+                modal.secondDirection = serve.secondDirection || '';
+                modal.lets = serve.lets || 0;
+                modal.finalShot = '';
+                if (ending) {
+                    modal.finalShot = this.match.doubles && ending.finalMember !== null && ending.finalMember !== undefined
+                        ? `${ending.finalPlayer}:${ending.finalMember}`
+                        : String(ending.finalPlayer);
+                }
+                const shot = ending ? this.endingShot(ending) : { stroke: 'groundstroke', side: 'fh', outcome: 'winner' };
+                modal.stroke = shot.stroke;
+                modal.side = shot.side;
+                modal.outcome = shot.outcome;
+                modal.winner = record.winner;
+                modal.rallyLength = Number.isInteger(record.rallyLength) ? String(record.rallyLength) : '';
+                modal.netApproach = { 1: '', 2: '', ...record.netApproach };
+                modal.comment = record.comment || '';
+            }
+            modal.visible = true;
+        },
+        /**
+         * Whether the serve chosen in the point editor was returned, so the
+         * point was decided by a rally rather than the serve.
+         */
+        pointEditIsRally() {
+            const modal = this.pointEditModal;
+            return modal.firstServe === 'in' || (modal.firstServe === 'out' && modal.secondServe === 'in');
+        },
+        /**
+         * Players who can be picked as hitting the final shot in the point
+         * editor: both players, or all four in doubles.
+         */
+        finalShotOptions() {
+            const options = [];
+            [1, 2].forEach(pid => {
+                const player = this.match.players[pid];
+                if (this.match.doubles && player.members) {
+                    player.members.forEach((member, idx) => options.push({ value: `${pid}:${idx}`, label: member.name }));
+                } else {
+                    options.push({ value: String(pid), label: player.name });
+                }
+            });
+            return options;
+        },
+        /**
+         * Save the point editor: replace the edited point's details or
+         * insert the new point, then rebuild the match from the corrected
+         * point log. The point's server, set and game are worked out again
+         * during the replay, and a point decided by the serve is won by
+         * whoever served it (or received, for a double fault).
+         */
+        savePointEdit() {
+            const modal = this.pointEditModal;
+            const serveData = this.serveDataFrom(modal);
+            let pointEnding = null;
+            let winner = modal.winner;
+            if (this.pointEditIsRally() && modal.finalShot) {
+                const [finalPlayer, finalMember] = modal.finalShot.split(':').map(Number);
+                pointEnding = this.pointEndingFrom(modal, finalPlayer);
+                if (this.match.doubles) {
+                    pointEnding.finalMember = Number.isInteger(finalMember) ? finalMember : null;
+                }
+                winner = this.strokeWinner(finalPlayer, modal.outcome);
+            }
+            const details = {
+                winner,
+                serveData,
+                pointEnding,
+                rallyLength: this.rallyLengthFrom(modal.rallyLength),
+                netApproach: this.pointEditIsRally() ? this.netApproachFrom(modal) : null,
+                comment: modal.comment.trim()
+            };
+            const history = this.match.pointHistory;
+            if (modal.insert) {
+                // An inserted point takes the time of the point it precedes
+                const next = history[modal.index];
+                history.splice(modal.index, 0, {
+                    ...details,
+                    server: next.server,
+                    serverMember: null,
+                    timestamp: next.timestamp,
+                    gameNumber: next.gameNumber,
+                    setNumber: next.setNumber
+                });
+                this.shiftSnapshots(modal.index, 1);
+            } else {
+                Object.assign(history[modal.index], details);
+            }
+            modal.visible = false;
+            this.afterHistoryChange(modal.index);
+        },
+        /**
+         * Delete a past point from the Match Breakdown and rebuild the
+         * match without it.
+         *
+         * @param {number} index position in match.pointHistory
+         */
+        deletePoint(index) {
+            if (!confirm('Delete this point? The score and statistics will be recalculated.')) return;
+            this.match.pointHistory.splice(index, 1);
+            this.shiftSnapshots(index, -1);
+            this.afterHistoryChange(index);
+        },
+        /**
+         * Move base snapshots taken after a changed position in the point
+         * log when a point is inserted or deleted there, so fast forwards
+         * and other score changes stay between the same points.
+         *
+         * @param {number} index position where the point was inserted or deleted
+         * @param {number} delta 1 for an insert, -1 for a delete
+         */
+        shiftSnapshots(index, delta) {
+            this.match.snapshots.forEach(snap => {
+                if (snap.kind === 'base' && snap.index > index) {
+                    snap.index += delta;
+                }
+            });
+        },
+        /**
+         * Rebuild the match after the point log was changed from a
+         * position onwards, then save it.
+         *
+         * @param {number} index first position in the log that changed
+         */
+        afterHistoryChange(index) {
+            this.markLogChanged(index);
+            this.replayMatch(index);
+            this.promptServeOrder();
+            this.saveCurrentMatch();
         }
     },
     mounted() {
         this.loadMatches();
         // Default date for new matches is today
         this.newMatch.date = this.getTodayDateString();
+        // Tick once a second for the match clocks, ending timed matches
+        // whose time runs out between points
+        this.clockTimer = setInterval(() => {
+            this.now = Date.now();
+            this.checkTimeExpiry();
+        }, 1000);
+    },
+    beforeUnmount() {
+        clearInterval(this.clockTimer);
     }
 }).mount('#app');
\ No newline at end of file
@@ -0,0 +1,323 @@
+/*
+ * Tests for the Tennis Scoring module. They run in Node without a DOM
+ * or Vue, using Node's built-in test runner:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TennisScoring = require('../scoring.js');
+
+const { FORMAT_PRESETS, applyPoint } = TennisScoring;
+
+/**
+ * A match state at 0-0 with player 1 serving, in the shape the app
+ * uses (see the top of scoring.js).
+ *
+ * @param {object} [format] format settings, e.g. a FORMAT_PRESETS entry
+ * @param {number} [matchFormat] best of this many sets
+ */
+function newMatch(format = {}, matchFormat = 3) {
+    const player = name => ({ name, sets: [0, 0, 0, 0, 0], games: 0, points: 0 });
+    return {
+        ...FORMAT_PRESETS.standard,
+        ...format,
+        matchFormat,
+        players: { 1: player('A'), 2: player('B') },
+        setScores: [],
+        currentSet: 0,
+        server: 1,
+        gameStartServer: 1,
+        timeTiebreak: null,
+        matchComplete: false,
+        winner: null,
+        endReason: null,
+        result: null,
+        finalSets: [],
+        isInProgress: true
+    };
+}
+
+/**
+ * Play points in turn, each won by the given player.
+ *
+ * @param {object} state match state
+ * @param {Array<number>} winners 1 or 2 for each point
+ */
+function play(state, winners) {
+    return winners.reduce((next, winner) => applyPoint(next, { winner }), state);
+}
+
+/**
+ * Play whole games, each won to love by the given player.
+ *
+ * @param {object} state match state
+ * @param {Array<number>} winners 1 or 2 for each game
+ */
+function playGames(state, winners) {
+    return winners.reduce((next, winner) => play(next, [winner, winner, winner, winner]), state);
+}
+
+// Games alternating from 1-0 up to 6-6
+const TO_SIX_ALL = [1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2];
+
+const score = state => [state.players[1].points, state.players[2].points];
+const display = state => [1, 2].map(pid => TennisScoring.pointDisplay(state, pid));
+
+test('applyPoint returns a new state and leaves the old one alone', () => {
+    const state = newMatch();
+    const next = applyPoint(state, { winner: 1 });
+    assert.deepEqual(score(state), [0, 0]);
+    assert.deepEqual(score(next), [1, 0]);
+});
+
+test('a game goes through deuce and advantage until a two point lead', () => {
+    let state = play(newMatch(), [1, 2, 1, 2, 1, 2]);
+    assert.deepEqual(display(state), ['Deuce', 'Deuce']);
+    state = play(state, [1]);
+    assert.deepEqual(display(state), ['Ad', '40']);
+    state = play(state, [2]);
+    assert.deepEqual(display(state), ['Deuce', 'Deuce']);
+    state = play(state, [2]);
+    assert.deepEqual(display(state), ['40', 'Ad']);
+    assert.equal(state.players[2].games, 0);
+    state = play(state, [2]);
+    assert.equal(state.players[2].games, 1);
+    assert.deepEqual(score(state), [0, 0]);
+    // Service changes after every game
+    assert.equal(state.server, 2);
+});
+
+test('with no-ad scoring the point at 40-40 decides the game', () => {
+    let state = play(newMatch({ noAd: true }), [1, 2, 1, 2, 1, 2]);
+    assert.equal(TennisScoring.isDecidingPoint(state), true);
+    assert.deepEqual(display(state), ['40', '40']);
+    state = play(state, [2]);
+    assert.equal(state.players[2].games, 1);
+    assert.deepEqual(score(state), [0, 0]);
+});
+
+test('tiebreak serve rotates after the first point and then every two', () => {
+    let state = playGames(newMatch(), TO_SIX_ALL);
+    assert.equal(TennisScoring.isTiebreakGame(state), true);
+    // Player 1 served the first game, so serves first in the tiebreak
+    assert.equal(state.server, 1);
+    const servers = [];
+    for (let i = 0; i < 6; i++) {
+        state = play(state, [i % 2 ? 2 : 1]);
+        servers.push(state.server);
+    }
+    assert.deepEqual(servers, [2, 2, 1, 1, 2, 2]);
+});
+
+test('a tiebreak is won by two and stored with the set', () => {
+    let state = playGames(newMatch(), TO_SIX_ALL);
+    state = play(state, [1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2]);
+    assert.deepEqual(score(state), [6, 6]);
+    state = play(state, [1]);
+    assert.equal(state.currentSet, 0);
+    state = play(state, [1]);
+    assert.equal(state.currentSet, 1);
+    assert.deepEqual(state.setScores[0], { p1Games: 7, p2Games: 6, tiebreak: { p1: 8, p2: 6 } });
+    assert.equal(TennisScoring.formatSetScores(state.setScores), '7-6(6)');
+    // The player who received first in the tiebreak serves the next set
+    assert.equal(state.server, 2);
+});
+
+test('a match tiebreak is played to 10 by two in place of the deciding set', () => {
+    let state = newMatch({ matchTiebreak: true });
+    state = playGames(state, [1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2]);
+    assert.equal(state.currentSet, 2);
+    assert.equal(TennisScoring.isMatchTiebreak(state), true);
+    assert.equal(TennisScoring.isTiebreakGame(state), true);
+    state = play(state, Array(9).fill(1).concat(Array(9).fill(2)));
+    assert.deepEqual(score(state), [9, 9]);
+    state = play(state, [1]);
+    assert.equal(state.matchComplete, false);
+    state = play(state, [2, 1, 1]);
+    assert.equal(state.matchComplete, true);
+    assert.equal(state.winner, 'A');
+    assert.deepEqual(state.setScores[2], { p1Games: 1, p2Games: 0, tiebreak: { p1: 12, p2: 10 }, matchTiebreak: true });
+    assert.equal(TennisScoring.formatSetScores(state.setScores), '6-0 0-6 [12-10]');
+});
+
+test('Fast4 sets have a tiebreak at 3-3 decided by sudden death at 4-4', () => {
+    let state = playGames(newMatch(FORMAT_PRESETS.fast4), [1, 2, 1, 2, 1, 2]);
+    assert.equal(TennisScoring.isTiebreakGame(state), true);
+    state = play(state, [1, 2, 1, 2, 1, 2, 1, 2]);
+    assert.deepEqual(score(state), [4, 4]);
+    state = play(state, [2]);
+    assert.equal(state.currentSet, 1);
+    assert.deepEqual(state.setScores[0], { p1Games: 3, p2Games: 4, tiebreak: { p1: 4, p2: 5 } });
+});
+
+test('Fast4 sets are won at four games', () => {
+    const state = playGames(newMatch(FORMAT_PRESETS.fast4), [1, 1, 1, 1]);
+    assert.equal(state.currentSet, 1);
+    assert.deepEqual(state.setScores[0], { p1Games: 4, p2Games: 0 });
+});
+
+test('points after the match is complete are ignored', () => {
+    const state = playGames(newMatch({}, 1), [1, 1, 1, 1, 1, 1]);
+    assert.equal(state.matchComplete, true);
+    assert.equal(applyPoint(state, { winner: 2 }), state);
+});
+
+/**
+ * Validate a score entered in the join form for a match of the given
+ * format, with player 1 serving at 0-0 unless given.
+ *
+ * @param {Array} sets entered { p1, p2 } set scores
+ * @param {object} [format] format settings
+ * @param {object} [entry] other fields of the entry
+ */
+function validate(sets, format = {}, entry = {}) {
+    const config = { matchFormat: 3, player1: 'A', player2: 'B', ...format };
+    const setScores = sets.concat(Array(config.matchFormat).fill({ p1: 0, p2: 0 })).slice(0, config.matchFormat);
+    return TennisScoring.validateScoreEntry({ setScores, points: { p1: 0, p2: 0 }, server: 1, ...entry }, config);
+}
+
+test('validateScoreEntry accepts scores that can happen', () => {
+    assert.deepEqual(validate([{ p1: 6, p2: 4 }, { p1: 3, p2: 2 }]).errors, []);
+    assert.deepEqual(validate([{ p1: 7, p2: 6 }, { p1: 6, p2: 6 }], {}, { points: { p1: 5, p2: 4 } }).errors, []);
+    assert.deepEqual(validate([{ p1: 6, p2: 4 }, { p1: 4, p2: 6 }], { matchTiebreak: true }, { points: { p1: 8, p2: 7 } }).errors, []);
+});
+
+test('validateScoreEntry rejects set scores that cannot happen', () => {
+    assert.match(validate([{ p1: 8, p2: 3 }]).errors[0], /would have ended earlier/);
+    assert.match(validate([{ p1: 7, p2: 7 }]).errors[0], /tiebreak is played at 6-6/);
+    assert.match(validate([{ p1: -1, p2: 3 }]).errors[0], /not a valid score/);
+    assert.match(validate([{ p1: 3, p2: 2 }, { p1: 1, p2: 0 }]).errors[0], /set before it is not finished/);
+    assert.match(validate([{ p1: 6, p2: 0 }, { p1: 6, p2: 0 }, { p1: 1, p2: 0 }]).errors[0], /already won/);
+});
+
+test('validateScoreEntry rejects game points that do not fit the game', () => {
+    assert.match(validate([{ p1: 2, p2: 1 }], {}, { points: { p1: 4, p2: 1 } }).errors[0], /only possible after deuce/);
+    assert.match(validate([{ p1: 2, p2: 1 }], { noAd: true }, { points: { p1: 4, p2: 3 } }).errors[0], /not played with no-ad/);
+    assert.match(validate([{ p1: 6, p2: 6 }], {}, { points: { p1: 7, p2: 3 } }).errors[0], /already have finished the tiebreak/);
+    assert.match(validate([{ p1: 2, p2: 1 }], {}, { server: null }).errors[0], /Choose who is serving/);
+});
+
+test('validateScoreEntry takes a match tiebreak by its points', () => {
+    const format = { matchTiebreak: true };
+    assert.match(validate([{ p1: 6, p2: 4 }, { p1: 4, p2: 6 }, { p1: 10, p2: 7 }], format).errors[0], /already decide the match/);
+    assert.match(validate([{ p1: 6, p2: 4 }, { p1: 4, p2: 6 }, { p1: 12, p2: 7 }], format).errors[0], /would have ended earlier/);
+    assert.match(validate([{ p1: 6, p2: 4 }, { p1: 4, p2: 6 }, { p1: 6, p2: 3 }], format).errors[0], /not finished/);
+});
+
+test('scoreSnapshot and restoreSnapshot round-trip the score', () => {
+    const played = play(playGames(newMatch(), [1, 1, 1, 1, 1, 1, 2, 1]), [2, 2, 1]);
+    const snapshot = TennisScoring.scoreSnapshot(played);
+    // Snapshots are stored as JSON
+    const restored = TennisScoring.restoreSnapshot(newMatch(), JSON.parse(JSON.stringify(snapshot)));
+    assert.deepEqual(TennisScoring.scoreSnapshot(restored), snapshot);
+    assert.deepEqual(restored.setScores, played.setScores);
+    assert.deepEqual(restored.players, played.players);
+    assert.equal(restored.server, played.server);
+    assert.equal(restored.gameStartServer, played.gameStartServer);
+    // Play carries on from the restored score exactly as from the original
+    assert.deepEqual(play(restored, [2, 2]), play(played, [2, 2]));
+});
+
+test('a restored tiebreak keeps its server rotation', () => {
+    const played = play(playGames(newMatch(), TO_SIX_ALL), [1, 2, 1]);
+    const restored = TennisScoring.restoreSnapshot(newMatch(), TennisScoring.scoreSnapshot(played));
+    assert.equal(restored.server, played.server);
+    assert.deepEqual(play(restored, [2, 2, 2]), play(played, [2, 2, 2]));
+});
+
+/**
+ * A match scored the way the app keeps it: the point log, undone
+ * entries that can be redone, and replay snapshots starting with a
+ * base at 0-0.
+ */
+function scorer() {
+    const state = newMatch();
+    return {
+        state,
+        log: [],
+        redo: [],
+        snapshots: [{ index: 0, kind: 'base', state: TennisScoring.scoreSnapshot(state) }]
+    };
+}
+
+/**
+ * Undo or redo entries until count are in the log, then replay it.
+ *
+ * @param {object} match a scorer()
+ * @param {number} count entries to leave in the log
+ */
+function stepTo(match, count) {
+    while (match.log.length > count) match.redo.push(match.log.pop());
+    while (match.log.length < count) match.log.push(match.redo.pop());
+    const replayed = TennisScoring.replayLog(match.state, match.log, match.snapshots, {
+        logged: match.log.length + match.redo.length,
+        checkpointInterval: 4
+    });
+    match.state = replayed.state;
+    match.snapshots = replayed.snapshots;
+}
+
+/**
+ * Record a point won by a player, replacing any undone entries.
+ *
+ * @param {object} match a scorer()
+ * @param {number} winner 1 or 2
+ */
+function recordPoint(match, winner) {
+    match.redo = [];
+    match.log.push({ winner });
+    match.state = applyPoint(match.state, { winner });
+    TennisScoring.addCheckpoint(match.snapshots, match.log.length, match.state, 4);
+}
+
+/**
+ * Fast forward to games all in the first set at 0-0, player 1 serving.
+ *
+ * @param {object} match a scorer()
+ * @param {number} games games each
+ */
+function fastForward(match, games) {
+    const sets = [{ p1: games, p2: games }, { p1: 0, p2: 0 }, { p1: 0, p2: 0 }];
+    match.state = TennisScoring.applyScores(match.state, sets, { p1: 0, p2: 0 }, 1);
+    match.redo = [];
+    match.snapshots = TennisScoring.addBaseSnapshot(match.snapshots, match.log.length, match.state);
+}
+
+const scoreline = state => TennisScoring.formatSetScores(state.setScores.concat([{ p1Games: state.players[1].games, p2Games: state.players[2].games }]))
+    + ' ' + display(state).join('-');
+
+test('replayLog steps back past a fast forward and forward again', () => {
+    const match = scorer();
+    for (let i = 0; i < 12; i++) recordPoint(match, 1);
+    fastForward(match, 5);
+    recordPoint(match, 2);
+    recordPoint(match, 2);
+    assert.equal(scoreline(match.state), '5-5 0-30');
+    stepTo(match, 10);
+    assert.equal(scoreline(match.state), '2-0 30-0');
+    stepTo(match, 14);
+    assert.equal(scoreline(match.state), '5-5 0-30');
+});
+
+test('a fast forward after undoing replaces later fast forwards', () => {
+    const match = scorer();
+    for (let i = 0; i < 10; i++) recordPoint(match, 1);
+    stepTo(match, 7);
+    fastForward(match, 2);
+    stepTo(match, 5);
+    fastForward(match, 4);
+    assert.deepEqual(match.snapshots.map(snap => [snap.index, snap.kind]), [[0, 'base'], [4, 'checkpoint'], [5, 'base']]);
+    assert.equal(scoreline(match.state), '4-4 0-0');
+    recordPoint(match, 1);
+    recordPoint(match, 1);
+    stepTo(match, 5);
+    assert.equal(scoreline(match.state), '4-4 0-0');
+    stepTo(match, 6);
+    assert.equal(scoreline(match.state), '4-4 15-0');
+    stepTo(match, 3);
+    assert.equal(scoreline(match.state), '0-0 40-0');
+    stepTo(match, 7);
+    assert.equal(scoreline(match.state), '4-4 30-0');
+});